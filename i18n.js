@@ -0,0 +1,353 @@
+// Image Router 界面文字与语言选择
+// 不依赖 SillyTavern 的模块，语言设置由 index.js 通过 setLanguageSource 提供
+
+/**
+ * 界面文字以中文原文为键（与 SillyTavern 的 t 相同的做法），zh 直接使用原文，其他语言查表，缺失时回退到原文。
+ * {name} 形式的占位符由 t() 的参数替换。
+ */
+const LOCALES = {
+    zh: {},
+    en: {
+        // 设置面板 (settings.html)
+        '启用聊天内联生成': 'Enable inline generation in chat',
+        '占位符语法': 'Placeholder syntax',
+        '基本：': 'Basic: ',
+        'image###提示词###': 'image###prompt###',
+        '带选项：': 'With options: ',
+        'image[ar=16:9; seed=42; ref=avatar]###提示词###': 'image[ar=16:9; seed=42; ref=avatar]###prompt###',
+        '选项：size=宽x高、ar=宽:高、model=模型、neg=负面提示词、seed=种子、n=数量、ref=avatar/persona/prev/none（逗号分隔）': 'Options: size=WxH, ar=W:H, model=model, neg=negative prompt, seed=seed, n=count, ref=avatar/persona/prev/none (comma separated)',
+        '⚡ 自动生成': '⚡ Auto-generate',
+        '收到新消息时自动生成（全局）': 'Auto-generate on new messages (global)',
+        '当前聊天': 'Current chat',
+        '跟随全局': 'Follow global',
+        '开启': 'On',
+        '关闭': 'Off',
+        '每条消息最多自动生成': 'Max auto-generated per message',
+        '只处理新收到的消息，打开聊天时已有的占位符不会自动生成。': 'Only new messages are processed; placeholders already in a chat are not generated when it is opened.',
+        '🔗 API 配置': '🔗 API',
+        '连接配置': 'Connection profile',
+        '启用故障转移': 'Enable failover',
+        '此配置可作为备用': 'Use this profile as a fallback',
+        '模型与尺寸会作为该配置的默认值保存；故障转移按列表顺序尝试其他配置': 'Model and size are saved as this profile\'s defaults; failover tries the other profiles in list order',
+        '服务器地址': 'Server URL',
+        '访问令牌': 'Access token',
+        '请在 img-router 管理后台创建访问令牌': 'Create an access token in the img-router admin panel',
+        '请求方式': 'Request mode',
+        '对话接口 (chat/completions)': 'Chat API (chat/completions)',
+        '图片接口 (images/generations)': 'Images API (images/generations)',
+        '返回格式': 'Response format',
+        '不指定': 'Unspecified',
+        '测试连接': 'Test connection',
+        '⚙️ 生成设置': '⚙️ Generation',
+        '提示词前缀': 'Prompt prefix',
+        '模型': 'Model',
+        '默认 (自动)': 'Default (auto)',
+        '尺寸': 'Size',
+        '默认': 'Default',
+        '超时 (秒, 0=不限)': 'Timeout (s, 0 = none)',
+        '失败重试次数': 'Retries on failure',
+        '高级参数': 'Advanced parameters',
+        '负面提示词': 'Negative prompt',
+        '种子 (-1 随机)': 'Seed (-1 = random)',
+        '锁定': 'Lock',
+        '未锁定时每次随机，并在此显示最近一次使用的种子': 'When unlocked a random seed is used each time and the last one is shown here',
+        '数量': 'Count',
+        '质量': 'Quality',
+        '步数 (0=默认)': 'Steps (0 = default)',
+        '引导系数 (0=默认)': 'Guidance (0 = default)',
+        '额外参数 (JSON)': 'Extra parameters (JSON)',
+        '流式响应': 'Streaming',
+        '👤 角色预设': '👤 Presets',
+        '当前角色': 'Current character',
+        '启用此预设': 'Enable this preset',
+        '使用全局设置': 'Use global settings',
+        '固定参考图（每次生成都会附带）': 'Pinned references (sent with every generation)',
+        '添加固定参考图': 'Add pinned reference',
+        '🖼️ 参考图片': '🖼️ Reference images',
+        '固定': 'Keep',
+        '清除': 'Clear',
+        '自动附加头像': 'Attach avatars',
+        '不附加': 'None',
+        '角色头像': 'Character avatar',
+        '用户头像': 'User avatar',
+        '角色 + 用户': 'Character + user',
+        '点击或拖拽上传图片': 'Click or drop images to upload',
+        '预处理与数量上限': 'Preprocessing and limits',
+        '最长边 (px)': 'Longest side (px)',
+        '格式': 'Format',
+        '保持原格式': 'Keep original',
+        '裁剪比例': 'Crop aspect',
+        '不裁剪': 'No crop',
+        '默认上限': 'Default limit',
+        '上限': 'Limit',
+        '只影响之后上传的图片。': 'Only affects images uploaded from now on.',
+        '蒙版': 'Mask',
+        '选择': 'Choose',
+        '透明区域为需要重绘的部分，随参考图一起发送到 images/edits': 'Transparent areas are repainted; sent to images/edits together with the references',
+        '✨ 快速生成': '✨ Quick generate',
+        '生成图片': 'Generate image',
+        '插图此场景': 'Illustrate scene',
+        '场景插图设置': 'Scene illustration',
+        '读取最近消息数': 'Recent messages to read',
+        '给 LLM 的指令': 'Instruction for the LLM',
+        '📋 任务队列': '📋 Queue',
+        '清除已结束': 'Clear finished',
+        '同时生成数量': 'Concurrent jobs',
+        '📜 历史生成': '📜 History',
+        '图库': 'Gallery',
+        '清空': 'Clear',
+        '本地存储:': 'Local storage:',
+        '上限 (MB)': 'Limit (MB)',
+        '条数': 'Entries',
+        '🖥️ 界面': '🖥️ Interface',
+        '语言': 'Language',
+        '跟随 SillyTavern': 'Follow SillyTavern',
+        '显示悬浮按钮': 'Show floating button',
+        '重置按钮位置': 'Reset button position',
+        '拖动后的位置会被记住。隐藏悬浮按钮后，可在扩展面板中打开这些设置。': 'The dragged position is remembered. With the floating button hidden, these settings stay available in the Extensions panel.',
+        '聊天中已显示的按钮在重新打开聊天后切换语言。': 'Buttons already shown in the chat switch language when the chat is reopened.',
+        '📦 导入 / 导出': '📦 Import / export',
+        '包含历史记录': 'Include history',
+        '包含参考图': 'Include reference images',
+        '包含访问令牌': 'Include access token',
+        '导出': 'Export',
+        '导入': 'Import',
+        '合并': 'Merge',
+        '替换': 'Replace',
+        '聊天预设保存在聊天文件中，不包含在导出内容里。': 'Chat presets are stored in the chat file and are not exported.',
+        '新建配置': 'New profile',
+        '重命名': 'Rename',
+        '删除配置': 'Delete profile',
+        '请输入 accessToken': 'Enter the accessToken',
+        '例如: high quality, masterpiece, 8k': 'e.g. high quality, masterpiece, 8k',
+        '从后端刷新模型列表': 'Refresh the model list from the backend',
+        '例如: blurry, lowres, bad anatomy': 'e.g. blurry, lowres, bad anatomy',
+        '随机种子': 'Random seed',
+        '例如: {"watermark": false}': 'e.g. {"watermark": false}',
+        '留空使用全局设置': 'Leave empty to use the global setting',
+        '留空则不发送': 'Leave empty to omit',
+        '全局': 'Global',
+        '0 表示不缩放': '0 disables resizing',
+        '模型未声明上限时使用': 'Used when the model declares no limit',
+        '留空使用模型声明或默认上限': 'Leave empty to use the model\'s or the default limit',
+        '请输入图片描述...': 'Describe the image...',
+        '让当前连接的 LLM 根据最近对话写出提示词': 'Let the connected LLM write a prompt from the recent conversation',
+        '收藏的记录不计入': 'Favourites are not counted',
+
+        // 配置与预设
+        '新配置名称': 'New profile name',
+        '配置 {index}': 'Profile {index}',
+        '已存在同名配置': 'A profile with this name already exists',
+        '配置名称': 'Profile name',
+        '至少需要保留一个配置': 'At least one profile is required',
+        '确定要删除配置「{name}」吗？': 'Delete profile "{name}"?',
+        '请先打开一个聊天': 'Open a chat first',
+        '请先选择一个角色': 'Select a character first',
+        '生效中: {names}': 'Active: {names}',
+        '未启用预设，使用全局设置': 'No preset enabled, using global settings',
+        '聊天: {chat}': 'Chat: {chat}',
+        '未打开聊天': 'No chat open',
+        '角色: {name}': 'Character: {name}',
+        '未选择角色（群聊请使用聊天预设）': 'No character selected (use a chat preset for group chats)',
+        '已应用生成预设: {names}': 'Applied generation presets: {names}',
+
+        // 模型与参数
+        '额外参数不是合法的 JSON: {error}': 'Extra parameters are not valid JSON: {error}',
+        '额外参数必须是 JSON 对象': 'Extra parameters must be a JSON object',
+        '火山引擎': 'Volcengine',
+        '其他': 'Other',
+        '请先配置 API 地址': 'Configure the API URL first',
+        '后端未返回任何模型': 'The backend returned no models',
+        '已获取 {count} 个模型': 'Fetched {count} models',
+        '获取模型列表失败，使用缓存列表: {error}': 'Failed to fetch models, using the cached list: {error}',
+        '获取模型列表失败，使用内置列表: {error}': 'Failed to fetch models, using the built-in list: {error}',
+        '来自后端 · {time}': 'From backend · {time}',
+        '内置列表（未连接后端）': 'Built-in list (backend not connected)',
+        '{model} (未在列表中)': '{model} (not in list)',
+
+        // 图片存储与参考图
+        '图片已从本地存储中移除': 'The image was removed from local storage',
+        '读取图片失败 ({status}): {ref}': 'Failed to read image ({status}): {ref}',
+        '读取图片失败 ({status})': 'Failed to read image ({status})',
+        '{used} / {limit} ({count} 张)': '{used} / {limit} ({count} images)',
+        '不限': 'unlimited',
+        '本地存储不可用': 'Local storage unavailable',
+        '本地图片存储正被其他标签页占用，请关闭或刷新其他 SillyTavern 标签页': 'Local image storage is in use by another tab. Close or reload the other SillyTavern tabs',
+        '图片已失效': 'Image no longer available',
+        '图片地址不安全，已拦截': 'Unsafe image URL blocked',
+        '图片地址不安全，无法下载': 'Unsafe image URL, cannot download',
+        '{label}（自动附加）': '{label} (attached automatically)',
+        '原始 {original} → 处理后 {size}': 'Original {original} → processed {size}',
+        '默认模型': 'Default model',
+        '当前模型最多上传 {limit} 张参考图': 'The current model accepts at most {limit} reference images',
+        '参考图已添加': 'Reference image added',
+        '图片读取失败': 'Failed to read the image',
+        '无法添加为参考图: {error}': 'Could not add as reference: {error}',
+
+        // 历史记录
+        '已按原参数加入生成队列': 'Queued with the original parameters',
+        '重新生成完成，已加入历史记录': 'Regenerated and added to history',
+        '提示词已复制': 'Prompt copied',
+        '复制失败，请手动复制': 'Copy failed, please copy manually',
+        '暂无生成记录': 'No generations yet',
+        '收藏': 'Favourite',
+        '下载': 'Download',
+        '全部模型': 'All models',
+        '全部角色': 'All characters',
+        '没有符合条件的记录': 'No matching entries',
+        '{count} 张': '{count} images',
+        '收藏（不会被自动清理）': 'Favourite (never cleaned up automatically)',
+        '按原参数重新生成': 'Regenerate with the original parameters',
+        '复制提示词': 'Copy prompt',
+        '添加为参考图': 'Add as reference',
+        '删除': 'Delete',
+        '{page} / {pages} (共 {count} 条)': '{page} / {pages} ({count} total)',
+        '搜索提示词、模型、配置、角色...': 'Search prompts, models, profiles, characters...',
+        '只看收藏': 'Favourites only',
+        '确定要删除所有历史生成记录吗？（收藏的记录会保留）': 'Delete all history? (Favourites are kept)',
+        '历史记录已清空': 'History cleared',
+
+        // 连接与请求
+        '请输入 API 地址': 'Enter the API URL',
+        '测试中...': 'Testing...',
+        '连接成功': 'Connected',
+        '当前是管理端口，请使用 API 端口 (默认 10001)': 'This is the admin port, use the API port (default 10001)',
+        '错误: {status}': 'Error: {status}',
+        '连接失败': 'Connection failed',
+        '请先配置 API 地址和访问令牌': 'Configure the API URL and access token first',
+        '模型 {model} 不支持参考图，本次仅发送文字提示词': 'Model {model} does not accept reference images, sending the text prompt only',
+        '模型 {model} 最多使用 {limit} 张参考图，已忽略 {ignored} 张': 'Model {model} uses at most {limit} reference images, {ignored} ignored',
+        '「{name}」不可用 ({error})，改用「{next}」': '"{name}" is unavailable ({error}), switching to "{next}"',
+        '请求超时 ({seconds}s)': 'Request timed out ({seconds}s)',
+        '网络错误: {error}': 'Network error: {error}',
+        '未返回图片: {text}': 'No image returned: {text}',
+        '无法解析图片数据': 'Could not parse the image data',
+
+        // 任务队列
+        '排队中': 'Queued',
+        '生成中': 'Generating',
+        '已完成': 'Done',
+        '失败': 'Failed',
+        '已取消': 'Cancelled',
+        '{error}，{seconds} 秒后重试 ({attempt}/{max})': '{error}, retrying in {seconds}s ({attempt}/{max})',
+        '生成失败: {error}': 'Generation failed: {error}',
+        '任务已取消': 'Job cancelled',
+        '暂无任务': 'No jobs',
+        '配置: {name}': 'Profile: {name}',
+        '(重试 {attempt}/{max})': '(retry {attempt}/{max})',
+        '取消': 'Cancel',
+        '请输入提示词': 'Enter a prompt',
+        '生成成功': 'Generated',
+
+        // 聊天内联
+        '占位符参考图 {source} 不可用，已忽略': 'Placeholder reference {source} is unavailable and was ignored',
+        '已生成图片': 'Generated image',
+        '[生成图片]': '[Generate image]',
+        '点击生成图片 ({options})': 'Click to generate ({options})',
+        '点击生成图片': 'Click to generate',
+        '重新生成（新种子）': 'Regenerate (new seed)',
+        '重新生成（相同种子）': 'Regenerate (same seed)',
+        '修改提示词后重新生成': 'Edit prompt and regenerate',
+        '用作参考图': 'Use as reference',
+        '只保留当前变体': 'Keep only this variant',
+        '移除图片，恢复为生成按钮': 'Remove image and restore the generate button',
+        '变体 {index}': 'Variant {index}',
+        '只保留当前变体，删除其余变体？': 'Keep only this variant and delete the others?',
+        '找不到该图片对应的消息': 'The message for this image was not found',
+        '该图片没有记录种子，无法按相同种子重新生成': 'No seed was recorded for this image, cannot regenerate with the same seed',
+        '已添加新变体': 'New variant added',
+        '修改提示词后将重新生成，原图保留为变体：': 'The image is regenerated with the edited prompt; the current image is kept as a variant:',
+        '重新生成': 'Regenerate',
+        '提示词不能为空': 'The prompt cannot be empty',
+        '在消息原文中找不到该占位符，无法修改提示词': 'The placeholder was not found in the message text, cannot edit the prompt',
+        '提示词已修改，请点击生成按钮重新生成': 'Prompt updated, click the generate button to regenerate',
+        '移除该图片及其 {count} 个变体？': 'Remove this image and its {count} variants?',
+        '移除该图片？': 'Remove this image?',
+        '生成变体中...': 'Generating variant...',
+        '排队中...': 'Queued...',
+        '生成中...': 'Generating...',
+        '[生成失败-点击重试]': '[Generation failed - click to retry]',
+        '生成成功，已保存': 'Generated and saved',
+        '自动生成中 ({done}/{total})': 'Auto-generating ({done}/{total})',
+
+        // 场景插图
+        '当前没有聊天内容': 'The chat is empty',
+        'LLM 未返回有效的提示词': 'The LLM returned no usable prompt',
+        '正在根据聊天生成场景描述...': 'Describing the scene from the chat...',
+        '场景描述生成失败: {error}': 'Scene description failed: {error}',
+        '确认图片提示词': 'Confirm image prompt',
+        '可在此修改后再生成': 'You can edit it before generating',
+        '场景插图已生成': 'Scene illustration generated',
+        '已生成场景描述，确认后点击生成图片': 'Scene described, review it and click Generate image',
+        '为此处场景生成插图': 'Illustrate the scene here',
+        '[角色: {name}]': '[Character: {name}]',
+        '场景: {scenario}': 'Scenario: {scenario}',
+        '[最近对话]': '[Recent conversation]',
+        '[图片提示词]': '[Image prompt]',
+        '根据角色设定和最近的对话，用一段英文描述当前场景，作为 AI 绘图的提示词。只描述画面内容（人物外貌、表情、动作、服装、环境、光线、构图），用逗号分隔的短语书写，不要包含对白、解释或任何其他文字。': 'Based on the character card and the recent conversation, describe the current scene in one English paragraph to be used as an AI image prompt. Describe only what is visible (appearance, expression, pose, clothing, setting, lighting, composition) as comma-separated phrases, without dialogue, explanations or any other text.',
+
+        // 导入导出
+        '配置已导出': 'Settings exported',
+        '导出失败: {error}': 'Export failed: {error}',
+        '文件内容不是有效的配置': 'The file does not contain valid settings',
+        '不是 img-router 的导出文件': 'Not an img-router export file',
+        '无效的版本号': 'Invalid version number',
+        '文件来自更新的版本 (v{version})，请先升级扩展': 'The file comes from a newer version (v{version}), update the extension first',
+        '缺少设置数据': 'Settings data is missing',
+        '导入失败: {error}': 'Import failed: {error}',
+        '替换模式会覆盖当前设置中对应的内容，确定继续吗？': 'Replace mode overwrites the matching current settings. Continue?',
+        '已导入 {count} 项设置': 'Imported {count} settings',
+
+        // 斜杠命令
+        '请提供提示词': 'Provide a prompt',
+        '未找到配置: {name}': 'Profile not found: {name}',
+        '已切换到配置「{name}」': 'Switched to profile "{name}"',
+        '参数应为 on、off 或 default': 'The argument must be on, off or default',
+        '当前聊天自动生成: {state}': 'Auto-generate for this chat: {state}',
+        '生成的图片地址': 'URL of the generated image',
+        '提示词（也可作为无名参数传入）': 'Prompt (can also be passed unnamed)',
+        '覆盖本次使用的模型': 'Model to use for this generation',
+        '覆盖本次使用的尺寸，如 1024x1024': 'Size to use for this generation, e.g. 1024x1024',
+        '参考图地址；none 表示不使用参考图，省略时使用面板中的参考图': 'Reference image URL; none disables references, omit to use the panel\'s references',
+        '是否将图片插入当前聊天': 'Insert the image into the current chat',
+        '提示词': 'Prompt',
+        '<div>通过 img-router 生成图片，返回图片地址，可用于管道。</div><div>示例: <code>/imgr size=1024x1024 insert=true a cat on the roof</code></div>': '<div>Generates an image through img-router and returns its URL, usable in pipes.</div><div>Example: <code>/imgr size=1024x1024 insert=true a cat on the roof</code></div>',
+        '历史记录列表 (JSON)，指定 index 时返回该图片地址': 'History list (JSON), or the image URL when index is given',
+        '返回的最大条数': 'Maximum number of entries',
+        '返回第 N 条记录的图片地址（0 为最新）': 'Return the image URL of entry N (0 is the newest)',
+        '<div>列出 img-router 的生成历史。</div>': '<div>Lists the img-router generation history.</div>',
+        '<div>清除 img-router 的全部参考图片。</div>': '<div>Clears all img-router reference images.</div>',
+        '当前配置名称': 'Current profile name',
+        '要切换到的配置名称；省略时返回当前配置': 'Profile to switch to; omit to return the current profile',
+        '<div>切换或查看 img-router 的连接配置。</div>': '<div>Switches or shows the img-router connection profile.</div>',
+        '当前聊天是否自动生成 (true/false)': 'Whether the current chat auto-generates (true/false)',
+        'on / off 设置当前聊天，default 恢复跟随全局；省略时返回当前状态': 'on / off for the current chat, default to follow the global setting; omit to return the current state',
+        '<div>设置当前聊天是否自动生成新消息中的图片占位符。</div>': '<div>Sets whether placeholders in new messages are generated automatically in the current chat.</div>',
+
+        // 设置面板外壳
+        '图像生成器': 'Image Generator',
+        '设置已在弹窗中打开': 'Settings are open in the dialog',
+        '设置面板加载失败，请刷新页面后重试': 'The settings panel failed to load, reload the page and try again',
+    },
+};
+
+// 返回设置中的语言选项（auto / zh / en），默认跟随 SillyTavern
+let getLanguageSetting = () => 'auto';
+
+export function setLanguageSource(getter) {
+    getLanguageSetting = getter;
+}
+
+// 界面语言：手动选择优先，否则跟随 SillyTavern 的界面语言
+export function getLanguage() {
+    const language = getLanguageSetting();
+    if (language && language !== 'auto' && LOCALES[language]) return language;
+    const stored = typeof localStorage !== 'undefined' ? localStorage.getItem('language') : null;
+    const locale = String(stored || globalThis.navigator?.language || 'en').toLowerCase();
+    return locale.startsWith('zh') ? 'zh' : 'en';
+}
+
+export function t(text, params = {}) {
+    const template = LOCALES[getLanguage()][text] ?? text;
+    return template.replace(/\{(\w+)\}/g, (match, key) => (key in params ? String(params[key]) : match));
+}
@@ -4,13 +4,49 @@
 
 import {
     saveSettingsDebounced,
+    saveChatDebounced,
     eventSource,
     event_types,
+    updateMessageBlock,
 } from '../../../../script.js';
 
-import { extension_settings, getContext } from '../../../extensions.js';
+import { extension_settings, getContext, saveMetadataDebounced } from '../../../extensions.js';
+import { getMessageTimeStamp } from '../../../RossAscends-mods.js';
+import { SlashCommandParser } from '../../../slash-commands/SlashCommandParser.js';
+import { SlashCommand } from '../../../slash-commands/SlashCommand.js';
+import { ARGUMENT_TYPE, SlashCommandArgument, SlashCommandNamedArgument } from '../../../slash-commands/SlashCommandArgument.js';
+import { SlashCommandEnumValue } from '../../../slash-commands/SlashCommandEnumValue.js';
+import { callGenericPopup, POPUP_TYPE } from '../../../popup.js';
+import { user_avatar } from '../../../personas.js';
+import { setLanguageSource, t } from './i18n.js';
+import {
+    IMAGE_REF_PREFIX,
+    isStoredImageRef,
+    isSafeImageUrl,
+    normalizeImageResponse,
+    MAX_IMAGE_COUNT,
+    PLACEHOLDER_REGEX,
+    normalizePlaceholderPrompt,
+    getSourcePlaceholderPrompts,
+    parsePlaceholderOptions,
+    splitPlaceholders,
+} from './parsing.js';
+import {
+    applyImageRef,
+    createImageElement,
+    buildInlineTrigger,
+    buildInlineResult,
+    renderInlineEntry,
+    getHistoryRefs,
+    buildHistoryItem,
+    buildHistoryCard,
+} from './render.js';
 
 const extensionName = 'img-router';
+const settingsTemplateUrl = new URL('settings.html', import.meta.url).href;
+
+// "插图此场景"给 LLM 的默认指令，按界面语言翻译（见 getSceneInstruction）
+const DEFAULT_SCENE_INSTRUCTION = '根据角色设定和最近的对话，用一段英文描述当前场景，作为 AI 绘图的提示词。只描述画面内容（人物外貌、表情、动作、服装、环境、光线、构图），用逗号分隔的短语书写，不要包含对白、解释或任何其他文字。';
 
 // Default settings
 const defaultSettings = {
@@ -19,50 +55,171 @@ const defaultSettings = {
     model: '',
     size: '',
     stream: true,
+    requestMode: 'chat', // 请求方式: chat（/v1/chat/completions）/ images（/v1/images/generations 与 edits）
+    responseFormat: '', // 图片 API 的 response_format: b64_json / url，留空不发送
     promptPrefix: '',
+    negativePrompt: '',
+    seed: -1, // 锁定时使用的种子，-1 表示随机
+    seedLocked: false,
+    imageCount: 1, // 请求的图片数量 (n)
+    quality: '',
+    steps: 0, // 0 表示不发送
+    guidance: 0, // 0 表示不发送
+    extraParams: '', // 合并进请求体的自定义 JSON
     referenceImages: [],
+    maskImage: '', // 图片 API 编辑请求使用的蒙版
+    refMaxDimension: 1536, // 参考图最长边（像素），0 表示不缩放
+    refFormat: 'image/jpeg', // 参考图编码格式: image/jpeg / image/webp / original（保持原格式）
+    refQuality: 0.9, // JPEG/WebP 压缩质量
+    refCropAspect: '', // 裁剪为指定宽高比（如 1:1），留空不裁剪
+    maxReferenceImages: 3, // 模型未声明上限时的参考图数量上限
+    modelReferenceLimits: {}, // 按模型覆盖的参考图数量上限 { modelId: n }
+    avatarReference: 'none', // 自动附加的头像参考图: none / character / persona / both（聊天可单独覆盖）
     generatedHistory: [],
+    historyLimit: 100, // 历史记录上限，收藏的记录不计入也不会被截断
     fixReferenceImages: false,
     enableInline: true,
-    promptImageCache: {} // prompt -> imageUrl 缓存，用于刷新后恢复图片
+    autoGenerate: false, // 收到新消息时自动生成其中的占位符（聊天可单独覆盖）
+    autoGenerateMax: 2, // 每条消息最多自动生成的占位符数
+    maxConcurrency: 2, // 同时运行的生成任务数
+    requestTimeout: 180, // 单次请求超时（秒），0 表示不限制
+    maxRetries: 2, // 可重试错误的最大重试次数
+    maxStorageMB: 200, // 本地图片存储上限（MB），超出时淘汰最久未使用的图片，0 表示不限制
+    imageStoreMigrated: false, // 是否已将设置中的 base64 图片迁移到 IndexedDB
+    modelCache: null, // 后端 /v1/models 的缓存 { apiUrl, fetchedAt, models }
+    profiles: [], // 连接配置 [{ id, name, apiUrl, apiKey, model, size, failover }]
+    activeProfileId: '',
+    failoverEnabled: false, // 当前配置连接失败或 5xx 时依次尝试其他配置
+    characterPresets: {}, // 角色预设，key 为角色头像文件名 { enabled, promptPrefix, negativePrompt, model, size, referenceImages }
+    sceneMessageCount: 6, // "插图此场景"读取的最近消息数
+    sceneInstruction: '', // 留空使用当前界面语言的默认指令
+    showFab: true, // 显示悬浮按钮（隐藏后可在扩展面板中设置）
+    fabPosition: null, // 拖动后的悬浮按钮位置 { left, top }，null 为默认位置
+    language: 'auto', // 界面语言：auto 跟随 SillyTavern，或 zh / en
+    promptImageCache: {} // 旧版 prompt -> imageUrl 缓存，仅用于迁移到聊天消息
 };
 
 // State
-let isGenerating = false;
 let chatObserver = null;
 
+// ================= 多语言 =================
+
+setLanguageSource(() => extension_settings[extensionName]?.language);
+
+// 翻译模板中的文字和 title / placeholder 属性，原文保存下来以便切换语言时重新翻译
+const localizedTextSources = new WeakMap();
+const LOCALIZED_ATTRIBUTES = ['title', 'placeholder'];
+
+function localizeElement(root) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        if (!localizedTextSources.has(node)) {
+            if (!node.nodeValue.trim()) continue;
+            localizedTextSources.set(node, node.nodeValue);
+        }
+        const source = localizedTextSources.get(node);
+        const text = source.trim();
+        node.nodeValue = source.replace(text, t(text));
+    }
+    for (const attribute of LOCALIZED_ATTRIBUTES) {
+        root.querySelectorAll(`[${attribute}]`).forEach(element => {
+            const key = `data-i18n-source-${attribute}`;
+            if (!element.hasAttribute(key)) element.setAttribute(key, element.getAttribute(attribute));
+            element.setAttribute(attribute, t(element.getAttribute(key)));
+        });
+    }
+}
+
 /**
- * Initialize extension settings
+ * Fill missing keys with defaults (safe to call before the modal exists)
  */
-function loadSettings() {
+function ensureSettings() {
     extension_settings[extensionName] = extension_settings[extensionName] || {};
     for (const key in defaultSettings) {
         if (extension_settings[extensionName][key] === undefined) {
-            extension_settings[extensionName][key] = defaultSettings[key];
+            extension_settings[extensionName][key] = structuredClone(defaultSettings[key]);
         }
     }
-    
+}
+
+/**
+ * Initialize extension settings
+ */
+function loadSettings() {
+    ensureSettings();
+    ensureProfiles();
+    ensureHistoryIds();
+
     // Update UI Inputs
     $('#img-router-api-url').val(extension_settings[extensionName].apiUrl);
     $('#img-router-api-key').val(extension_settings[extensionName].apiKey);
-    $('#img-router-model').val(extension_settings[extensionName].model);
+    renderModelOptions();
     $('#img-router-size').val(extension_settings[extensionName].size);
     $('#img-router-stream').prop('checked', extension_settings[extensionName].stream);
+    $('#img-router-request-mode').val(extension_settings[extensionName].requestMode);
+    $('#img-router-response-format').val(extension_settings[extensionName].responseFormat);
+    renderRequestModeOptions();
+    renderMaskPreview();
     $('#img-router-prefix').val(extension_settings[extensionName].promptPrefix);
+    $('#img-router-negative').val(extension_settings[extensionName].negativePrompt);
+    $('#img-router-seed').val(extension_settings[extensionName].seed);
+    $('#img-router-seed-lock').prop('checked', extension_settings[extensionName].seedLocked);
+    $('#img-router-count').attr('max', MAX_IMAGE_COUNT).val(extension_settings[extensionName].imageCount);
+    $('#img-router-quality').val(extension_settings[extensionName].quality);
+    $('#img-router-steps').val(extension_settings[extensionName].steps);
+    $('#img-router-guidance').val(extension_settings[extensionName].guidance);
+    $('#img-router-extra-params').val(extension_settings[extensionName].extraParams);
+    validateExtraParamsInput();
     $('#img-router-fix-ref').prop('checked', extension_settings[extensionName].fixReferenceImages);
+    $('#img-router-ref-max-dim').val(extension_settings[extensionName].refMaxDimension);
+    $('#img-router-ref-format').val(extension_settings[extensionName].refFormat);
+    $('#img-router-ref-quality').val(extension_settings[extensionName].refQuality);
+    $('#img-router-ref-crop').val(extension_settings[extensionName].refCropAspect);
+    $('#img-router-ref-default-limit').val(extension_settings[extensionName].maxReferenceImages);
+    renderReferenceLimit();
+    renderAvatarReferenceOptions();
     $('#img-router-enable-inline').prop('checked', extension_settings[extensionName].enableInline);
+    $('#img-router-auto-generate').prop('checked', extension_settings[extensionName].autoGenerate);
+    $('#img-router-auto-max').val(extension_settings[extensionName].autoGenerateMax);
+    renderAutoGenerateChatOption();
+    $('#img-router-concurrency').val(extension_settings[extensionName].maxConcurrency);
+    $('#img-router-timeout').val(extension_settings[extensionName].requestTimeout);
+    $('#img-router-retries').val(extension_settings[extensionName].maxRetries);
+    $('#img-router-storage-limit').val(extension_settings[extensionName].maxStorageMB);
+    $('#img-router-history-limit').val(extension_settings[extensionName].historyLimit);
+    $('#img-router-failover').prop('checked', extension_settings[extensionName].failoverEnabled);
+    $('#img-router-scene-count').val(extension_settings[extensionName].sceneMessageCount);
+    $('#img-router-scene-instruction')
+        .val(extension_settings[extensionName].sceneInstruction === DEFAULT_SCENE_INSTRUCTION ? '' : extension_settings[extensionName].sceneInstruction)
+        .attr('placeholder', t(DEFAULT_SCENE_INSTRUCTION));
+    $('#img-router-show-fab').prop('checked', extension_settings[extensionName].showFab);
+    $('#img-router-language').val(extension_settings[extensionName].language);
+    renderProfileOptions();
+    renderPresetPanel();
 
     // Update UI Sections
     updateImagePreviews();
     renderHistoryGallery();
+    renderQueuePanel();
+    renderStorageUsage();
+    renderFab();
 }
 
 function saveSetting(key, value) {
     extension_settings[extensionName][key] = value;
+    // 连接相关字段同步写入当前配置
+    if (PROFILE_FIELDS.includes(key)) {
+        const profile = getActiveProfile();
+        if (profile) profile[key] = value;
+    }
     saveSettingsDebounced();
     if (key === 'enableInline') processChatMessages(); 
 }
 
+function createId() {
+    return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+}
+
 function fileToBase64(file) {
     return new Promise((resolve, reject) => {
         const reader = new FileReader();
@@ -79,503 +236,3352 @@ function normalizeApiUrl(rawUrl) {
     return url.replace(/\/v1(?:\/.*)?$/i, '');
 }
 
-function escapeHtml(value) {
-    return String(value)
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;')
-        .replace(/"/g, '&quot;')
-        .replace(/'/g, '&#39;');
+// ================= 连接配置 (多后端) =================
+// apiUrl/apiKey/model/size 始终是当前配置的工作副本，修改时同步回配置
+
+const PROFILE_FIELDS = ['apiUrl', 'apiKey', 'model', 'size', 'requestMode', 'responseFormat'];
+
+function getActiveProfile() {
+    const settings = extension_settings[extensionName];
+    return (settings.profiles || []).find(profile => profile.id === settings.activeProfileId) || null;
 }
 
-// ================= 参考图片 (图生图) 逻辑 =================
+// 旧版只有一组 apiUrl/apiKey，首次加载时转换为默认配置
+function ensureProfiles() {
+    const settings = extension_settings[extensionName];
+    if (!Array.isArray(settings.profiles) || settings.profiles.length === 0) {
+        settings.profiles = [{
+            id: createId(),
+            name: t('默认'),
+            apiUrl: settings.apiUrl,
+            apiKey: settings.apiKey,
+            model: settings.model,
+            size: settings.size,
+            requestMode: settings.requestMode,
+            responseFormat: settings.responseFormat,
+            failover: true,
+        }];
+        settings.activeProfileId = settings.profiles[0].id;
+        saveSettingsDebounced();
+    }
+    if (!getActiveProfile()) {
+        settings.activeProfileId = settings.profiles[0].id;
+    }
+}
 
-function updateImagePreviews() {
-    const container = $('#img-router-preview-container');
-    const clearBtn = $('#img-router-clear-images');
-    const images = extension_settings[extensionName].referenceImages || [];
+function findProfile(idOrName) {
+    const profiles = extension_settings[extensionName].profiles || [];
+    const key = String(idOrName || '').trim();
+    return profiles.find(profile => profile.id === key)
+        || profiles.find(profile => profile.name.toLowerCase() === key.toLowerCase())
+        || null;
+}
 
-    container.empty();
-    if (images.length === 0) {
-        clearBtn.hide();
-    } else {
-        clearBtn.show();
+function switchProfile(idOrName) {
+    const profile = findProfile(idOrName);
+    if (!profile) return null;
+
+    const settings = extension_settings[extensionName];
+    settings.activeProfileId = profile.id;
+    PROFILE_FIELDS.forEach(field => settings[field] = profile[field] ?? defaultSettings[field]);
+    saveSettingsDebounced();
+
+    $('#img-router-api-url').val(settings.apiUrl);
+    $('#img-router-api-key').val(settings.apiKey);
+    $('#img-router-size').val(settings.size);
+    $('#img-router-request-mode').val(settings.requestMode);
+    $('#img-router-response-format').val(settings.responseFormat);
+    renderRequestModeOptions();
+    $('#img-router-connection-status').empty();
+    renderProfileOptions();
+    renderModelOptions();
+    if (getAvailableModels().fromCache === false && settings.apiUrl && settings.apiKey) {
+        refreshModels({ silent: true });
     }
+    return profile;
+}
 
-    images.forEach((imgData, index) => {
-        const previewItem = $(`
-            <div class="img-router-preview-item" data-index="${index}">
-                <img src="${imgData}" alt="Ref ${index + 1}" />
+function createProfile() {
+    const name = prompt(t('新配置名称'), t('配置 {index}', { index: extension_settings[extensionName].profiles.length + 1 }));
+    if (!name || !name.trim()) return;
+    if (findProfile(name)) return toastr.warning(t('已存在同名配置'));
+
+    const profile = {
+        id: createId(),
+        name: name.trim(),
+        apiUrl: defaultSettings.apiUrl,
+        apiKey: '',
+        model: '',
+        size: '',
+        requestMode: defaultSettings.requestMode,
+        responseFormat: defaultSettings.responseFormat,
+        failover: true,
+    };
+    extension_settings[extensionName].profiles.push(profile);
+    switchProfile(profile.id);
+}
+
+function renameProfile() {
+    const profile = getActiveProfile();
+    if (!profile) return;
+    const name = prompt(t('配置名称'), profile.name);
+    if (!name || !name.trim() || name.trim() === profile.name) return;
+    if (findProfile(name)) return toastr.warning(t('已存在同名配置'));
+    profile.name = name.trim();
+    saveSettingsDebounced();
+    renderProfileOptions();
+}
+
+function deleteProfile() {
+    const settings = extension_settings[extensionName];
+    const profile = getActiveProfile();
+    if (!profile) return;
+    if (settings.profiles.length <= 1) return toastr.warning(t('至少需要保留一个配置'));
+    if (!confirm(t('确定要删除配置「{name}」吗？', { name: profile.name }))) return;
+
+    settings.profiles = settings.profiles.filter(item => item !== profile);
+    switchProfile(settings.profiles[0].id);
+}
+
+function renderProfileOptions() {
+    const select = $('#img-router-profile');
+    if (!select.length) return;
+    const settings = extension_settings[extensionName];
+    select.empty();
+    (settings.profiles || []).forEach(profile => {
+        select.append($('<option>').val(profile.id).text(profile.name));
+    });
+    select.val(settings.activeProfileId);
+    $('#img-router-profile-failover').prop('checked', getActiveProfile()?.failover !== false);
+}
+
+/**
+ * 本次请求依次尝试的连接：当前配置在前，启用故障转移时追加其余参与的配置。
+ * 当前配置使用工作副本中的模型/尺寸，其余配置使用各自的默认值。
+ */
+function getConnectionChain() {
+    const settings = extension_settings[extensionName];
+    const active = getActiveProfile();
+    const chain = [{
+        name: active?.name || t('默认'),
+        apiUrl: normalizeApiUrl(settings.apiUrl),
+        apiKey: settings.apiKey,
+        model: settings.model,
+        size: settings.size,
+        requestMode: settings.requestMode,
+        responseFormat: settings.responseFormat,
+    }];
+    if (settings.failoverEnabled) {
+        (settings.profiles || [])
+            .filter(profile => profile !== active && profile.failover !== false)
+            .forEach(profile => chain.push({ ...profile, apiUrl: normalizeApiUrl(profile.apiUrl) }));
+    }
+    return chain.filter(connection => connection.apiUrl && connection.apiKey);
+}
+
+// 连接失败、超时或服务端 5xx 才切换到下一个配置；4xx 说明请求本身有问题
+function isFailoverError(error) {
+    return error.status >= 500 || (!error.status && error.retryable === true);
+}
+
+// ================= 角色预设 =================
+// 预设绑定到角色（保存在扩展设置中），也可以绑定到单个聊天（保存在聊天元数据中）。
+// 生成时按 全局设置 -> 角色预设 -> 聊天预设 的顺序覆盖，预设中留空的字段沿用上一级。
+
+const PRESET_FIELDS = ['promptPrefix', 'negativePrompt', 'model', 'size'];
+const CHAT_PRESET_KEY = 'img_router_preset';
+
+function getCurrentCharacter() {
+    const context = getContext();
+    return context.characterId !== undefined ? context.characters?.[context.characterId] || null : null;
+}
+
+function createEmptyPreset() {
+    return { enabled: true, promptPrefix: '', negativePrompt: '', model: '', size: '', referenceImages: [] };
+}
+
+function getCharacterPreset(create = false) {
+    const character = getCurrentCharacter();
+    if (!character?.avatar) return null;
+    const presets = extension_settings[extensionName].characterPresets;
+    if (!presets[character.avatar] && create) presets[character.avatar] = createEmptyPreset();
+    return presets[character.avatar] || null;
+}
+
+function getChatPreset(create = false) {
+    const metadata = getContext().chatMetadata;
+    if (!metadata || !getContext().chatId) return null;
+    if (!metadata[CHAT_PRESET_KEY] && create) metadata[CHAT_PRESET_KEY] = createEmptyPreset();
+    return metadata[CHAT_PRESET_KEY] || null;
+}
+
+function getPresetScope() {
+    return $('#img-router-preset-scope').val() === 'chat' ? 'chat' : 'character';
+}
+
+function getPresetForScope(scope, create = false) {
+    return scope === 'chat' ? getChatPreset(create) : getCharacterPreset(create);
+}
+
+function savePreset(scope) {
+    if (scope === 'chat') saveMetadataDebounced();
+    else saveSettingsDebounced();
+}
+
+function getAllPresetReferences() {
+    const refs = Object.values(extension_settings[extensionName].characterPresets || {})
+        .flatMap(preset => preset.referenceImages || []);
+    return refs.concat(getChatPreset()?.referenceImages || []);
+}
+
+/**
+ * 当前聊天实际生效的生成参数。
+ * pinnedReferences 为预设中固定的参考图，会附加在面板参考图之前且不会在生成后被清空。
+ */
+function getEffectiveSettings() {
+    const settings = extension_settings[extensionName];
+    const effective = {
+        promptPrefix: settings.promptPrefix,
+        negativePrompt: settings.negativePrompt,
+        model: '',
+        size: '',
+        pinnedReferences: [],
+        presetNames: [],
+    };
+    const layers = [
+        { preset: getCharacterPreset(), name: getCurrentCharacter()?.name },
+        { preset: getChatPreset(), name: t('当前聊天') },
+    ];
+    for (const { preset, name } of layers) {
+        if (!preset?.enabled) continue;
+        PRESET_FIELDS.forEach(field => {
+            if (preset[field]) effective[field] = preset[field];
+        });
+        if (preset.referenceImages?.length) effective.pinnedReferences = [...preset.referenceImages];
+        effective.presetNames.push(name);
+    }
+    return effective;
+}
+
+function updatePresetField(field, value) {
+    const scope = getPresetScope();
+    const preset = getPresetForScope(scope, true);
+    if (!preset) return toastr.warning(t(scope === 'chat' ? '请先打开一个聊天' : '请先选择一个角色'));
+    preset[field] = value;
+    savePreset(scope);
+    renderPresetStatus();
+}
+
+async function addPresetReferenceImage(file) {
+    const scope = getPresetScope();
+    const preset = getPresetForScope(scope, true);
+    if (!preset) return toastr.warning(t(scope === 'chat' ? '请先打开一个聊天' : '请先选择一个角色'));
+    try {
+        preset.referenceImages = preset.referenceImages || [];
+        const { blob, originalSize } = await preprocessReferenceImage(file);
+        preset.referenceImages.push(await storeImage(blob, { pinned: true, originalSize }));
+        savePreset(scope);
+        renderPresetPanel();
+    } catch (error) {
+        console.error(error);
+        toastr.error(t('图片读取失败'));
+    }
+}
+
+function removePresetReferenceImage(index) {
+    const scope = getPresetScope();
+    const preset = getPresetForScope(scope);
+    if (!preset?.referenceImages) return;
+    const removed = preset.referenceImages.splice(index, 1);
+    savePreset(scope);
+    renderPresetPanel();
+    // 固定参考图只属于该预设，移除即删除
+    removed.forEach(ref => deleteStoredImage(ref).then(renderStorageUsage).catch(() => {}));
+}
+
+function renderPresetStatus() {
+    const names = getEffectiveSettings().presetNames;
+    $('#img-router-preset-status').text(names.length ? t('生效中: {names}', { names: names.join(' + ') }) : t('未启用预设，使用全局设置'));
+}
+
+function renderPresetPanel() {
+    if (!$('#img-router-preset-scope').length) return;
+    const character = getCurrentCharacter();
+    const scope = getPresetScope();
+    const preset = getPresetForScope(scope);
+    const available = scope === 'chat' ? !!getContext().chatId : !!character;
+
+    $('#img-router-preset-target').text(scope === 'chat'
+        ? (getContext().chatId ? t('聊天: {chat}', { chat: getContext().chatId }) : t('未打开聊天'))
+        : (character ? t('角色: {name}', { name: character.name }) : t('未选择角色（群聊请使用聊天预设）')));
+    $('#img-router-preset-fields').toggle(available);
+    $('#img-router-preset-enabled').prop('checked', !!preset?.enabled);
+    $('#img-router-preset-prefix').val(preset?.promptPrefix || '');
+    $('#img-router-preset-negative').val(preset?.negativePrompt || '');
+    $('#img-router-preset-size').val(preset?.size || '');
+    populateModelSelect($('#img-router-preset-model'), preset?.model || '', t('使用全局设置'));
+
+    const container = $('#img-router-preset-preview').empty();
+    (preset?.referenceImages || []).forEach((ref, index) => {
+        const item = $(`
+            <div class="img-router-preview-item">
                 <button class="remove-btn" data-index="${index}"><i class="fa-solid fa-times"></i></button>
             </div>
         `);
-        container.append(previewItem);
+        item.prepend(createImageElement(ref, { alt: `Pinned ${index + 1}` }));
+        container.append(item);
     });
+    hydrateImageRefs(container);
+    renderPresetStatus();
 }
 
-async function addReferenceImage(file) {
-    const images = extension_settings[extensionName].referenceImages || [];
-    if (images.length >= 3) {
-        toastr.warning('最多上传 3 张参考图');
-        return;
+function onPresetChatChanged() {
+    renderPresetPanel();
+    renderAutoGenerateChatOption();
+    renderAvatarReferenceOptions();
+    updateImagePreviews();
+    updateParamVisibility();
+    const names = getEffectiveSettings().presetNames;
+    if (names.length) toastr.info(t('已应用生成预设: {names}', { names: names.join(' + ') }));
+}
+
+// ================= 生成参数 =================
+
+const MAX_SEED = 2147483647;
+
+function randomSeed() {
+    return Math.floor(Math.random() * MAX_SEED);
+}
+
+// 锁定时复用设置中的种子，否则每次随机
+function resolveSeed() {
+    const settings = extension_settings[extensionName];
+    const seed = parseInt(settings.seed);
+    return settings.seedLocked && seed >= 0 ? seed : randomSeed();
+}
+
+function parseExtraParams(text) {
+    if (!text || !text.trim()) return {};
+    let value;
+    try {
+        value = JSON.parse(text);
+    } catch (error) {
+        throw new Error(t('额外参数不是合法的 JSON: {error}', { error: error.message }));
+    }
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error(t('额外参数必须是 JSON 对象'));
     }
+    return value;
+}
+
+// 入队时固定的生成参数快照
+function snapshotGenerationParams() {
+    const settings = extension_settings[extensionName];
+    return {
+        seed: resolveSeed(),
+        n: Math.min(MAX_IMAGE_COUNT, Math.max(1, parseInt(settings.imageCount) || 1)),
+        quality: settings.quality || '',
+        steps: Math.max(0, parseInt(settings.steps) || 0),
+        guidance: Math.max(0, Number(settings.guidance) || 0),
+        extraParams: settings.extraParams || '',
+    };
+}
+
+/**
+ * 按模型支持情况构建请求体中的可选参数，自定义 JSON 最后合并（可覆盖前面的字段）。
+ */
+function buildModelParams(modelId, negativePrompt, params) {
+    const body = {};
+    const allow = param => isParamSupported(modelId, param);
+    if (allow('negative_prompt') && negativePrompt) body.negative_prompt = negativePrompt;
+    if (allow('seed') && params.seed >= 0) body.seed = params.seed;
+    if (allow('n') && params.n > 1) body.n = params.n;
+    if (allow('quality') && params.quality) body.quality = params.quality;
+    if (allow('steps') && params.steps > 0) body.steps = params.steps;
+    if (allow('guidance') && params.guidance > 0) body.guidance_scale = params.guidance;
+    return { ...body, ...parseExtraParams(params.extraParams) };
+}
+
+function validateExtraParamsInput() {
+    const input = $('#img-router-extra-params');
+    const hint = $('#img-router-extra-params-error');
     try {
-        const base64 = await fileToBase64(file);
-        images.push(base64);
-        saveSetting('referenceImages', images);
-        updateImagePreviews();
-        toastr.success('参考图已添加');
+        parseExtraParams(input.val());
+        hint.text('');
     } catch (error) {
-        console.error(error);
-        toastr.error('图片读取失败');
+        hint.text(error.message);
     }
 }
 
-function removeReferenceImage(index) {
-    const images = extension_settings[extensionName].referenceImages || [];
-    images.splice(index, 1);
-    saveSetting('referenceImages', images);
-    updateImagePreviews();
+// ================= 模型列表 =================
+
+// 各类模型支持的可选参数，未列出的模型视为全部支持
+const SEEDREAM_PARAMS = ['seed', 'n', 'guidance'];
+const DIFFUSION_PARAMS = ['negative_prompt', 'seed', 'n', 'steps', 'guidance'];
+const KONTEXT_PARAMS = ['seed', 'n', 'steps', 'guidance'];
+
+// 离线或后端不支持 /v1/models 时使用的静态列表
+const STATIC_MODELS = [
+    { id: 'doubao-seedream-4-5-251128', provider: '火山引擎', imageInput: true, maxImages: 10, params: SEEDREAM_PARAMS },
+    { id: 'doubao-seedream-4-0-250828', provider: '火山引擎', imageInput: true, maxImages: 10, params: SEEDREAM_PARAMS },
+    { id: 'z-image-turbo', provider: 'Gitee', imageInput: false, params: DIFFUSION_PARAMS },
+    { id: 'Qwen-Image-Edit', provider: 'Gitee', imageInput: true, maxImages: 1, params: DIFFUSION_PARAMS },
+    { id: 'Qwen-Image-Edit-2511', provider: 'Gitee', imageInput: true, maxImages: 3, params: DIFFUSION_PARAMS },
+    { id: 'FLUX.1-Kontext-dev', provider: 'Gitee', imageInput: true, maxImages: 1, params: KONTEXT_PARAMS },
+    { id: 'Tongyi-MAI/Z-Image-Turbo', provider: 'ModelScope', imageInput: false, params: DIFFUSION_PARAMS },
+    { id: 'Qwen/Qwen-Image-Edit-2511', provider: 'ModelScope', imageInput: true, maxImages: 3, params: DIFFUSION_PARAMS },
+    { id: 'z-image-turbo', provider: 'HuggingFace', imageInput: false, params: DIFFUSION_PARAMS },
+    { id: 'Qwen-Image-Edit-2511', provider: 'HuggingFace', imageInput: true, maxImages: 3, params: DIFFUSION_PARAMS },
+];
+const PARAM_ALIASES = {
+    negative_prompt: 'negative_prompt',
+    seed: 'seed',
+    n: 'n',
+    quality: 'quality',
+    steps: 'steps',
+    num_inference_steps: 'steps',
+    guidance: 'guidance',
+    guidance_scale: 'guidance',
+    cfg_scale: 'guidance',
+};
+const MODEL_FETCH_TIMEOUT = 15000;
+
+// 从模型元数据判断是否支持参考图，无法判断时返回 null
+function detectImageInput(model) {
+    if (typeof model.supports_image_input === 'boolean') return model.supports_image_input;
+    if (typeof model.image_to_image === 'boolean') return model.image_to_image;
+    const inputs = model.input_modalities || model.modalities || model.architecture?.input_modalities;
+    if (Array.isArray(inputs)) return inputs.includes('image');
+    const capabilities = model.capabilities;
+    if (Array.isArray(capabilities)) return capabilities.some(item => /image[-_]?(to[-_]?image|input|edit)|img2img|i2i/i.test(item));
+    if (capabilities && typeof capabilities === 'object') {
+        const flag = capabilities.image_to_image ?? capabilities.image_input ?? capabilities.img2img;
+        if (typeof flag === 'boolean') return flag;
+    }
+    const known = STATIC_MODELS.find(item => item.id === model.id);
+    return known ? known.imageInput : null;
 }
 
-function clearAllImages() {
-    saveSetting('referenceImages', []);
-    updateImagePreviews();
+// 后端声明了 supported_parameters 时以其为准，否则沿用静态表，都没有则返回 null（全部显示）
+function detectModelParams(model) {
+    if (Array.isArray(model.supported_parameters)) {
+        return [...new Set(model.supported_parameters.map(name => PARAM_ALIASES[name]).filter(Boolean))];
+    }
+    return STATIC_MODELS.find(item => item.id === model.id)?.params || null;
 }
 
-// ================= 历史记录画廊逻辑 =================
+// 模型声明的参考图数量上限，未声明时返回 null
+function detectMaxImages(model) {
+    const value = parseInt(model.max_images ?? model.max_input_images ?? model.max_reference_images);
+    if (value > 0) return value;
+    return STATIC_MODELS.find(item => item.id === model.id)?.maxImages || null;
+}
 
-function addToHistory(imageUrl, prompt) {
-    const history = extension_settings[extensionName].generatedHistory || [];
-    history.unshift({
-        url: imageUrl,
-        prompt: prompt,
-        time: new Date().toLocaleString()
-    });
-    if (history.length > 20) history.length = 20;
-    saveSetting('generatedHistory', history);
-    renderHistoryGallery();
+function normalizeModelList(data) {
+    const list = Array.isArray(data) ? data : (data?.data || data?.models || []);
+    return list
+        .map(item => (typeof item === 'string' ? { id: item } : item))
+        .filter(item => item?.id)
+        .map(item => ({
+            id: String(item.id),
+            provider: item.provider || item.owned_by || '其他',
+            imageInput: detectImageInput(item),
+            maxImages: detectMaxImages(item),
+            params: detectModelParams(item),
+        }));
 }
 
-function renderHistoryGallery() {
-    const container = $('#img-router-history-container');
-    const history = extension_settings[extensionName].generatedHistory || [];
-    container.empty();
-    
-    if (history.length === 0) {
-        container.html('<div style="text-align:center; opacity:0.5; padding:20px;">暂无生成记录</div>');
-        return;
+async function fetchModels() {
+    const settings = extension_settings[extensionName];
+    const apiUrl = normalizeApiUrl(settings.apiUrl);
+    if (!apiUrl) throw new Error(t('请先配置 API 地址'));
+
+    const attemptSignal = createAttemptSignal(null, MODEL_FETCH_TIMEOUT);
+    try {
+        const response = await fetch(`${apiUrl}/v1/models`, {
+            headers: settings.apiKey ? { 'Authorization': `Bearer ${settings.apiKey}` } : {},
+            signal: attemptSignal.signal,
+        });
+        if (!response.ok) throw new Error(`API Error ${response.status}`);
+        return normalizeModelList(await response.json());
+    } finally {
+        attemptSignal.cleanup();
     }
+}
 
-    history.forEach((item, index) => {
-        const safeTitle = escapeHtml(`${item.prompt} (${item.time})`);
-        const div = $(`
-            <div class="history-item" title="${safeTitle}">
-                <img src="${item.url}" class="zoomable" onclick="clickZoom(this)" />
-                <div class="history-actions">
-                    <i class="fa-solid fa-download" onclick="const a=document.createElement('a');a.href='${item.url}';a.download='history_${index}.png';a.click();"></i>
-                    <i class="fa-solid fa-trash" data-index="${index}"></i>
-                </div>
-            </div>
-        `);
-        container.append(div);
+// 拉取并缓存模型列表，失败时保留原缓存（或回退到静态列表）
+async function refreshModels({ silent = false } = {}) {
+    const settings = extension_settings[extensionName];
+    try {
+        const models = await fetchModels();
+        if (models.length === 0) throw new Error(t('后端未返回任何模型'));
+        saveSetting('modelCache', {
+            apiUrl: normalizeApiUrl(settings.apiUrl),
+            fetchedAt: Date.now(),
+            models,
+        });
+        renderModelOptions();
+        if (!silent) toastr.success(t('已获取 {count} 个模型', { count: models.length }));
+        return true;
+    } catch (error) {
+        console.warn('[img-router] Fetch models failed:', error);
+        if (!silent) {
+            const message = settings.modelCache ? '获取模型列表失败，使用缓存列表: {error}' : '获取模型列表失败，使用内置列表: {error}';
+            toastr.warning(t(message, { error: error.message }));
+        }
+        return false;
+    }
+}
+
+function getAvailableModels() {
+    const settings = extension_settings[extensionName];
+    const cache = settings.modelCache;
+    if (cache?.models?.length && cache.apiUrl === normalizeApiUrl(settings.apiUrl)) {
+        return { models: cache.models, fromCache: true };
+    }
+    return { models: STATIC_MODELS, fromCache: false };
+}
+
+// true/false 表示已知是否支持参考图，null 表示未知
+function modelSupportsImageInput(modelId) {
+    if (!modelId) return null;
+    const model = getAvailableModels().models.find(item => item.id === modelId);
+    return model ? model.imageInput : null;
+}
+
+function getModelParams(modelId) {
+    if (!modelId) return null;
+    return getAvailableModels().models.find(item => item.id === modelId)?.params || null;
+}
+
+function isParamSupported(modelId, param) {
+    const params = getModelParams(modelId);
+    return !params || params.includes(param);
+}
+
+// 参考图数量上限：手动设置 > 模型声明 > 全局默认
+function getReferenceLimit(modelId) {
+    const settings = extension_settings[extensionName];
+    const override = parseInt(settings.modelReferenceLimits?.[modelId || '']);
+    if (override > 0) return override;
+    const model = modelId ? getAvailableModels().models.find(item => item.id === modelId) : null;
+    return model?.maxImages || Math.max(1, parseInt(settings.maxReferenceImages) || 1);
+}
+
+function getCurrentModelId() {
+    return getEffectiveSettings().model || extension_settings[extensionName].model || '';
+}
+
+// 按当前生效的模型隐藏不支持的参数输入框，并刷新参考图上限
+function updateParamVisibility() {
+    const modelId = getCurrentModelId();
+    $('.img-router-param').each(function() {
+        $(this).toggle(isParamSupported(modelId, $(this).data('param')));
     });
+    renderReferenceLimit();
+}
 
-    container.find('.fa-trash').on('click', function() {
-        const idx = $(this).data('index');
-        const currentHistory = extension_settings[extensionName].generatedHistory;
-        currentHistory.splice(idx, 1);
-        saveSetting('generatedHistory', currentHistory);
-        renderHistoryGallery();
+function renderModelOptions() {
+    populateModelSelect($('#img-router-model'), extension_settings[extensionName].model || '', t('默认 (自动)'));
+    populateModelSelect($('#img-router-preset-model'), getPresetForScope(getPresetScope())?.model || '', t('使用全局设置'));
+
+    updateParamVisibility();
+
+    const { fromCache } = getAvailableModels();
+    const cache = extension_settings[extensionName].modelCache;
+    $('#img-router-model-source').text(fromCache
+        ? t('来自后端 · {time}', { time: new Date(cache.fetchedAt).toLocaleString() })
+        : t('内置列表（未连接后端）'));
+}
+
+function populateModelSelect(select, selected, emptyLabel) {
+    if (!select.length) return;
+    const { models } = getAvailableModels();
+
+    const groups = new Map();
+    models.forEach(model => {
+        if (!groups.has(model.provider)) groups.set(model.provider, []);
+        groups.get(model.provider).push(model);
+    });
+
+    select.empty().append($('<option>').val('').text(emptyLabel));
+    groups.forEach((items, provider) => {
+        const group = $('<optgroup>').attr('label', t(provider));
+        items.forEach(model => {
+            const suffix = model.imageInput ? ' 🖼️' : '';
+            group.append($('<option>').val(model.id).text(`${model.id}${suffix}`));
+        });
+        select.append(group);
     });
+
+    // 已选模型不在列表中时保留，避免设置被静默改掉
+    if (selected && !models.some(model => model.id === selected)) {
+        select.append($('<option>').val(selected).text(t('{model} (未在列表中)', { model: selected })));
+    }
+    select.val(selected);
 }
 
-function clearHistory() {
-    if (confirm('确定要删除所有历史生成记录吗？')) {
-        saveSetting('generatedHistory', []);
-        renderHistoryGallery();
-        toastr.info('历史记录已清空');
+// ================= 本地图片存储 (IndexedDB) =================
+// 图片二进制保存在 IndexedDB，设置里只保存 "idb:<id>" 形式的引用
+
+const IMAGE_DB_NAME = 'img-router';
+const IMAGE_STORE_NAME = 'images';
+// 最近使用时间单独保存为 { id, lastUsed }，读取图片时不必重写整条图片记录
+const IMAGE_USAGE_STORE_NAME = 'usage';
+
+let imageDbPromise = null;
+const objectUrlCache = new Map(); // ref -> blob: URL
+
+function openImageDb() {
+    if (!imageDbPromise) {
+        imageDbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(IMAGE_DB_NAME, 2);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                for (const name of [IMAGE_STORE_NAME, IMAGE_USAGE_STORE_NAME]) {
+                    if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath: 'id' });
+                }
+            };
+            // 其他标签页仍持有旧版本连接时升级会被阻塞，先报错，之后再使用时重新打开
+            let blocked = false;
+            request.onblocked = () => {
+                blocked = true;
+                reject(new Error(t('本地图片存储正被其他标签页占用，请关闭或刷新其他 SillyTavern 标签页')));
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                if (blocked) return db.close();
+                // 其他标签页要升级数据库时让出连接，下次使用时重新打开
+                db.onversionchange = () => {
+                    db.close();
+                    imageDbPromise = null;
+                };
+                resolve(db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+        // 打开失败时允许下次重试
+        imageDbPromise.catch(() => { imageDbPromise = null; });
     }
+    return imageDbPromise;
 }
 
-// ================= API 交互逻辑 =================
+async function withImageStore(mode, action, storeName = IMAGE_STORE_NAME) {
+    const db = await openImageDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = action(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request?.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
 
-async function testConnection() {
-    const statusEl = $('#img-router-connection-status');
-    const apiUrl = normalizeApiUrl($('#img-router-api-url').val());
-    if (!apiUrl) return toastr.error('请输入 API 地址');
+function dataUrlToBlob(dataUrl) {
+    const [header, data] = dataUrl.split(',');
+    const mime = header.match(/^data:([^;,]+)/)?.[1] || 'image/png';
+    const binary = atob(data || '');
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return new Blob([bytes], { type: mime });
+}
 
-    statusEl.html('<i class="fa-solid fa-spinner fa-spin"></i> Testing...');
-    try {
-        const response = await fetch(`${apiUrl}/health`);
-        if (response.ok) {
-            statusEl.html('<span style="color:#4caf50">连接成功</span>');
-            return;
-        }
+/**
+ * 保存图片到本地存储，返回引用。
+ * 接受 Blob 或 data URL；普通 http(s) 地址不占用本地空间，原样返回。
+ * pinned 的图片（如角色预设的固定参考图）不参与容量淘汰。
+ */
+async function storeImage(source, { pinned = false, originalSize = null } = {}) {
+    if (isStoredImageRef(source)) return source;
+    if (typeof source === 'string' && !source.startsWith('data:')) return source;
 
-        const uiResponse = await fetch(`${apiUrl}/api/health`).catch(() => null);
-        if (uiResponse && (uiResponse.ok || uiResponse.status === 401)) {
-            statusEl.html('<span style="color:#f44336">当前是管理端口，请使用 API 端口 (默认 10001)</span>');
-            return;
-        }
+    const blob = typeof source === 'string' ? dataUrlToBlob(source) : source;
+    const id = createId();
+    const now = Date.now();
+    const record = { id, blob, size: blob.size, type: blob.type, createdAt: now, lastUsed: now, pinned };
+    if (originalSize) record.originalSize = originalSize; // 预处理前的文件大小
+    await withImageStore('readwrite', store => store.put(record));
+    await withImageStore('readwrite', store => store.put({ id, size: blob.size, pinned, lastUsed: now }), IMAGE_USAGE_STORE_NAME);
+
+    const ref = `${IMAGE_REF_PREFIX}${id}`;
+    enforceStorageLimit().catch(error => console.error('[img-router] Eviction failed:', error));
+    return ref;
+}
+
+async function getStoredImageInfo(ref) {
+    const record = await withImageStore('readonly', store => store.get(ref.slice(IMAGE_REF_PREFIX.length)));
+    return record ? { size: record.size, originalSize: record.originalSize || null } : null;
+}
+
+async function loadImageBlob(ref) {
+    const id = ref.slice(IMAGE_REF_PREFIX.length);
+    const record = await withImageStore('readonly', store => store.get(id));
+    if (!record) throw new Error(t('图片已从本地存储中移除'));
+    // 记录最近使用时间，供淘汰策略参考
+    withImageStore('readwrite', store => {
+        const usage = store.get(id);
+        usage.onsuccess = () => store.put({ ...usage.result, id, lastUsed: Date.now() });
+    }, IMAGE_USAGE_STORE_NAME).catch(() => {});
+    return record.blob;
+}
+
+// 用于页面显示的地址（本地图片转为 blob: URL）
+async function resolveImageUrl(ref) {
+    if (!isStoredImageRef(ref)) return ref;
+    if (!objectUrlCache.has(ref)) {
+        objectUrlCache.set(ref, URL.createObjectURL(await loadImageBlob(ref)));
+    }
+    return objectUrlCache.get(ref);
+}
+
+// 用于发送给后端的地址（本地图片转为 data URL）
+async function resolveImageDataUrl(ref) {
+    // 站内图片（如角色头像）后端无法访问，先读取为 data URL
+    if (ref.startsWith('/')) {
+        const response = await fetch(ref);
+        if (!response.ok) throw new Error(t('读取图片失败 ({status}): {ref}', { status: response.status, ref }));
+        return fileToBase64(await response.blob());
+    }
+    if (!isStoredImageRef(ref)) return ref;
+    return fileToBase64(await loadImageBlob(ref));
+}
+
+async function deleteStoredImage(ref) {
+    if (!isStoredImageRef(ref)) return;
+    const id = ref.slice(IMAGE_REF_PREFIX.length);
+    await withImageStore('readwrite', store => store.delete(id));
+    withImageStore('readwrite', store => store.delete(id), IMAGE_USAGE_STORE_NAME).catch(() => {});
+    if (objectUrlCache.has(ref)) {
+        URL.revokeObjectURL(objectUrlCache.get(ref));
+        objectUrlCache.delete(ref);
+    }
+}
+
+function isImageRefInUse(ref) {
+    const settings = extension_settings[extensionName];
+    if ((settings.referenceImages || []).includes(ref) || settings.maskImage === ref) return true;
+    if ((settings.generatedHistory || []).some(item => getHistoryRefs(item).includes(ref))) return true;
+    if (Object.values(settings.promptImageCache || {}).includes(ref)) return true;
+    if (getAllPresetReferences().includes(ref)) return true;
+    return jobs.some(job => isJobActive(job) && job.referenceImages.includes(ref));
+}
+
+// 设置中不再引用时删除图片
+async function releaseImages(refs) {
+    for (const ref of refs) {
+        if (!isStoredImageRef(ref) || isImageRefInUse(ref)) continue;
+        await deleteStoredImage(ref).catch(error => console.error('[img-router] Delete image failed:', error));
+    }
+    renderStorageUsage();
+}
+
+/**
+ * 读取所有图片的 { id, size, pinned, lastUsed }，不加载图片数据。
+ * 元数据保存在 usage 表中；旧版本保存的图片缺少元数据，读取一次原记录后补上。
+ */
+async function getImageMetadata() {
+    const ids = await withImageStore('readonly', store => store.getAllKeys());
+    const usage = await withImageStore('readonly', store => store.getAll(), IMAGE_USAGE_STORE_NAME);
+    const metadata = new Map(usage.map(item => [item.id, item]));
+    for (const id of ids) {
+        if (metadata.get(id)?.size !== undefined) continue;
+        const record = await withImageStore('readonly', store => store.get(id));
+        if (!record) continue;
+        const item = { id, size: record.size || 0, pinned: !!record.pinned, lastUsed: metadata.get(id)?.lastUsed ?? record.lastUsed };
+        await withImageStore('readwrite', store => store.put(item), IMAGE_USAGE_STORE_NAME);
+        metadata.set(id, item);
+    }
+    return ids.map(id => metadata.get(id)).filter(Boolean);
+}
+
+async function getStorageUsage() {
+    const records = await getImageMetadata();
+    return {
+        count: records.length,
+        bytes: records.reduce((sum, record) => sum + (record.size || 0), 0),
+    };
+}
+
+// 淘汰检查依次运行；运行期间再次请求时只追加一次检查
+let storageLimitQueue = Promise.resolve();
+let pendingStorageLimit = null;
+
+function enforceStorageLimit() {
+    if (!pendingStorageLimit) {
+        pendingStorageLimit = storageLimitQueue.then(() => {
+            pendingStorageLimit = null;
+            return evictImagesOverLimit();
+        });
+        storageLimitQueue = pendingStorageLimit.catch(() => {});
+    }
+    return pendingStorageLimit;
+}
+
+/**
+ * 超出容量上限时按最久未使用淘汰图片。
+ * 参考图片、排队中任务使用的图片和收藏的历史图片不会被淘汰；被淘汰的历史记录会一并移除。
+ */
+async function evictImagesOverLimit() {
+    const settings = extension_settings[extensionName];
+    const limit = (Number(settings.maxStorageMB) || 0) * 1024 * 1024;
+    if (!limit) return;
+
+    const records = await getImageMetadata();
+    let total = records.reduce((sum, record) => sum + (record.size || 0), 0);
+    if (total <= limit) return;
+
+    const pinned = new Set([...(settings.referenceImages || []), settings.maskImage]);
+    jobs.filter(isJobActive).forEach(job => job.referenceImages.forEach(ref => pinned.add(ref)));
+    (settings.generatedHistory || []).filter(item => item.favorite).forEach(item => getHistoryRefs(item).forEach(ref => pinned.add(ref)));
+
+    const evicted = new Set();
+    records.sort((a, b) => (a.lastUsed || 0) - (b.lastUsed || 0));
+    for (const record of records) {
+        if (total <= limit) break;
+        const ref = `${IMAGE_REF_PREFIX}${record.id}`;
+        if (record.pinned || pinned.has(ref)) continue;
+        await deleteStoredImage(ref);
+        evicted.add(ref);
+        total -= record.size || 0;
+    }
+    if (evicted.size === 0) return;
+
+    console.log(`[img-router] Evicted ${evicted.size} images from local storage`);
+    settings.generatedHistory = (settings.generatedHistory || []).filter(item => {
+        if (item.variants) item.variants = item.variants.filter(ref => !evicted.has(ref));
+        if (evicted.has(item.url)) item.url = item.variants?.[0];
+        return !!item.url;
+    });
+    const cache = settings.promptImageCache || {};
+    Object.keys(cache).forEach(key => evicted.has(cache[key]) && delete cache[key]);
+    saveSettingsDebounced();
+    renderHistoryGallery();
+    renderStorageUsage();
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+async function renderStorageUsage() {
+    const el = $('#img-router-storage-usage');
+    if (!el.length) return;
+    try {
+        const { count, bytes } = await getStorageUsage();
+        const limit = Number(extension_settings[extensionName].maxStorageMB) || 0;
+        el.text(t('{used} / {limit} ({count} 张)', { used: formatBytes(bytes), limit: limit ? `${limit} MB` : t('不限'), count }));
+    } catch (error) {
+        el.text(t('本地存储不可用'));
+    }
+}
+
+// 为带 data-img-ref 的 <img> 异步填充地址
+async function hydrateImageRefs(root) {
+    const images = $(root).find('img[data-img-ref]').toArray();
+    for (const img of images) {
+        const ref = img.dataset.imgRef;
+        try {
+            const url = await resolveImageUrl(ref);
+            // 等待期间可能已被替换为其他地址
+            if (img.dataset.imgRef === ref) img.src = url;
+        } catch (error) {
+            img.alt = t('图片已失效');
+        }
+    }
+}
+
+// 替换已渲染 <img> 的图片
+function setImageRef(img, ref) {
+    applyImageRef(img, ref);
+    if (isStoredImageRef(ref)) hydrateImageRefs(img.parent());
+}
+
+function downloadImage(url, filename) {
+    if (!isSafeImageUrl(url)) return toastr.error(t('图片地址不安全，无法下载'));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+}
+
+// 一次性迁移：把设置中的 base64 图片移入 IndexedDB
+async function migrateImagesToStore() {
+    const settings = extension_settings[extensionName];
+    if (settings.imageStoreMigrated) return;
+
+    const migrate = async (value) => (typeof value === 'string' && value.startsWith('data:') ? storeImage(value) : value);
+    try {
+        settings.referenceImages = await Promise.all((settings.referenceImages || []).map(migrate));
+        for (const item of settings.generatedHistory || []) {
+            item.url = await migrate(item.url);
+        }
+        const cache = settings.promptImageCache || {};
+        for (const key of Object.keys(cache)) {
+            cache[key] = await migrate(cache[key]);
+        }
+        settings.imageStoreMigrated = true;
+        saveSettingsDebounced();
+        console.log('[img-router] Migrated settings images to IndexedDB.');
+    } catch (error) {
+        console.error('[img-router] Image migration failed:', error);
+    }
+}
+
+// ================= 参考图片 (图生图) 逻辑 =================
+
+function updateImagePreviews() {
+    const container = $('#img-router-preview-container');
+    const clearBtn = $('#img-router-clear-images');
+    const images = extension_settings[extensionName].referenceImages || [];
+
+    container.empty();
+    if (images.length === 0) {
+        clearBtn.hide();
+    } else {
+        clearBtn.show();
+    }
+
+    // 自动附加的头像只做展示，在头像设置中关闭
+    getAvatarReferences().forEach(({ ref, label }) => {
+        $('<div class="img-router-preview-item"></div>')
+            .attr('title', t('{label}（自动附加）', { label }))
+            .append(createImageElement(ref, { alt: label }))
+            .append($('<span class="img-router-preview-badge"></span>').text(label))
+            .appendTo(container);
+    });
+
+    images.forEach((imgRef, index) => {
+        const previewItem = $(`
+            <div class="img-router-preview-item" data-index="${index}">
+                <button class="remove-btn" data-index="${index}"><i class="fa-solid fa-times"></i></button>
+                <span class="img-router-preview-size"></span>
+            </div>
+        `);
+        previewItem.prepend(createImageElement(imgRef, { alt: `Ref ${index + 1}` }));
+        container.append(previewItem);
+        renderPreviewSize(previewItem, imgRef);
+    });
+    hydrateImageRefs(container);
+}
+
+// 预览角标显示处理后大小，悬停显示原始大小
+async function renderPreviewSize(item, ref) {
+    if (!isStoredImageRef(ref)) return;
+    const info = await getStoredImageInfo(ref).catch(() => null);
+    if (!info) return;
+    const label = item.find('.img-router-preview-size').text(formatBytes(info.size));
+    if (info.originalSize && info.originalSize !== info.size) {
+        item.attr('title', t('原始 {original} → 处理后 {size}', { original: formatBytes(info.originalSize), size: formatBytes(info.size) }));
+        label.text(`${formatBytes(info.originalSize)}→${formatBytes(info.size)}`);
+    }
+}
+
+// ================= 参考图预处理 =================
+
+const REF_OUTPUT_FORMATS = ['image/jpeg', 'image/webp', 'image/png'];
+
+// 按 EXIF 方向解码（createImageBitmap 不可用时退回 <img>，现代浏览器同样会按 EXIF 旋转）
+async function decodeImage(file) {
+    if (typeof createImageBitmap === 'function') {
+        try {
+            return await createImageBitmap(file, { imageOrientation: 'from-image' });
+        } catch (error) {
+            console.warn('[img-router] createImageBitmap failed, falling back to <img>:', error);
+        }
+    }
+    const url = URL.createObjectURL(file);
+    try {
+        const img = new Image();
+        img.src = url;
+        await img.decode();
+        return img;
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+// 居中裁剪到指定宽高比，返回源图区域
+function getCropRect(width, height, aspect) {
+    const match = /^(\d+(?:\.\d+)?):(\d+(?:\.\d+)?)$/.exec(aspect || '');
+    if (!match) return { x: 0, y: 0, width, height };
+    const ratio = Number(match[1]) / Number(match[2]);
+    if (width / height > ratio) {
+        const cropWidth = Math.round(height * ratio);
+        return { x: Math.round((width - cropWidth) / 2), y: 0, width: cropWidth, height };
+    }
+    const cropHeight = Math.round(width / ratio);
+    return { x: 0, y: Math.round((height - cropHeight) / 2), width, height: cropHeight };
+}
+
+/**
+ * 上传的参考图在本地缩放、裁剪并重新编码，返回 { blob, originalSize }。
+ * 无需处理或处理后反而更大时保留原文件；解码失败时原样返回。
+ */
+async function preprocessReferenceImage(file, { format = null } = {}) {
+    const settings = extension_settings[extensionName];
+    const originalSize = file.size;
+    let image;
+    try {
+        image = await decodeImage(file);
+    } catch (error) {
+        console.warn('[img-router] Reference preprocessing skipped:', error);
+        return { blob: file, originalSize };
+    }
+
+    const sourceWidth = image.width;
+    const sourceHeight = image.height;
+    const crop = getCropRect(sourceWidth, sourceHeight, settings.refCropAspect);
+    const maxDimension = Math.max(0, parseInt(settings.refMaxDimension) || 0);
+    const scale = maxDimension ? Math.min(1, maxDimension / Math.max(crop.width, crop.height)) : 1;
+    const width = Math.max(1, Math.round(crop.width * scale));
+    const height = Math.max(1, Math.round(crop.height * scale));
+
+    const requested = format || settings.refFormat;
+    const type = requested === 'original'
+        ? (REF_OUTPUT_FORMATS.includes(file.type) ? file.type : 'image/png')
+        : requested;
+    const unchanged = scale === 1 && crop.width === sourceWidth && crop.height === sourceHeight && type === file.type;
+    if (unchanged) {
+        image.close?.();
+        return { blob: file, originalSize };
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    // JPEG 不支持透明，先铺白底
+    if (type === 'image/jpeg') {
+        ctx.fillStyle = '#fff';
+        ctx.fillRect(0, 0, width, height);
+    }
+    ctx.drawImage(image, crop.x, crop.y, crop.width, crop.height, 0, 0, width, height);
+    image.close?.();
+
+    const quality = Math.min(1, Math.max(0.1, Number(settings.refQuality) || 0.9));
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, type, quality));
+    if (!blob) return { blob: file, originalSize };
+    // 只转换格式却变大时保留原文件
+    if (blob.size >= originalSize && scale === 1 && crop.width === sourceWidth && crop.height === sourceHeight) {
+        return { blob: file, originalSize };
+    }
+    return { blob, originalSize };
+}
+
+function renderReferenceLimit() {
+    const input = $('#img-router-ref-limit');
+    if (!input.length) return;
+    const modelId = getCurrentModelId();
+    const override = extension_settings[extensionName].modelReferenceLimits?.[modelId];
+    $('#img-router-ref-limit-model').text(modelId || t('默认模型'));
+    input.val(override || '').attr('placeholder', getReferenceLimit(modelId));
+}
+
+// 留空时删除覆盖，恢复模型声明或全局默认
+function setModelReferenceLimit(value) {
+    const settings = extension_settings[extensionName];
+    const limits = settings.modelReferenceLimits || {};
+    const modelId = getCurrentModelId();
+    const limit = parseInt(value);
+    if (limit > 0) limits[modelId] = Math.min(16, limit);
+    else delete limits[modelId];
+    saveSetting('modelReferenceLimits', limits);
+    renderReferenceLimit();
+}
+
+// ================= 头像参考图 =================
+
+const CHAT_AVATAR_REF_KEY = 'img_router_avatar_ref';
+const AVATAR_REF_MODES = ['none', 'character', 'persona', 'both'];
+
+// 当前聊天的头像附加方式：聊天中的设置优先，未设置时跟随全局
+function getAvatarReferenceMode() {
+    const context = getContext();
+    const chatValue = context.chatId ? context.chatMetadata?.[CHAT_AVATAR_REF_KEY] : undefined;
+    return AVATAR_REF_MODES.includes(chatValue) ? chatValue : extension_settings[extensionName].avatarReference || 'none';
+}
+
+/**
+ * 需要自动附加的头像 [{ ref, label }]。message 为内联任务所属消息，群聊中取发送该消息的角色。
+ */
+function getAvatarReferences(message = null) {
+    const mode = getAvatarReferenceMode();
+    const avatars = [];
+    if (mode === 'character' || mode === 'both') {
+        const ref = getCharacterAvatarUrl(message);
+        if (ref) avatars.push({ ref, label: t('角色头像') });
+    }
+    if (mode === 'persona' || mode === 'both') {
+        const ref = getPersonaAvatarUrl();
+        if (ref) avatars.push({ ref, label: t('用户头像') });
+    }
+    return avatars;
+}
+
+// value 为 null 时恢复跟随全局
+function setChatAvatarReference(value) {
+    const context = getContext();
+    if (!context.chatId) return toastr.warning(t('请先打开一个聊天'));
+    if (value === null) delete context.chatMetadata[CHAT_AVATAR_REF_KEY];
+    else context.chatMetadata[CHAT_AVATAR_REF_KEY] = value;
+    saveMetadataDebounced();
+    updateImagePreviews();
+}
+
+function renderAvatarReferenceOptions() {
+    const context = getContext();
+    const chatValue = context.chatId ? context.chatMetadata?.[CHAT_AVATAR_REF_KEY] : undefined;
+    $('#img-router-avatar-ref').val(extension_settings[extensionName].avatarReference || 'none');
+    $('#img-router-avatar-ref-chat')
+        .val(AVATAR_REF_MODES.includes(chatValue) ? chatValue : 'inherit')
+        .prop('disabled', !context.chatId);
+}
+
+async function addReferenceImage(file) {
+    const images = extension_settings[extensionName].referenceImages || [];
+    const limit = getReferenceLimit(getCurrentModelId());
+    if (images.length >= limit) {
+        toastr.warning(t('当前模型最多上传 {limit} 张参考图', { limit }));
+        return;
+    }
+    try {
+        const { blob, originalSize } = await preprocessReferenceImage(file);
+        const ref = await storeImage(blob, { originalSize });
+        images.push(ref);
+        saveSetting('referenceImages', images);
+        updateImagePreviews();
+        toastr.success(t('参考图已添加'));
+    } catch (error) {
+        console.error(error);
+        toastr.error(t('图片读取失败'));
+    }
+}
+
+// 蒙版与参考图使用相同的缩放和裁剪，保持尺寸一致；编码为 PNG 保留透明区域
+async function setMaskImage(file) {
+    try {
+        const { blob, originalSize } = await preprocessReferenceImage(file, { format: 'image/png' });
+        const previous = extension_settings[extensionName].maskImage;
+        saveSetting('maskImage', await storeImage(blob, { originalSize }));
+        renderMaskPreview();
+        if (previous) releaseImages([previous]);
+    } catch (error) {
+        console.error(error);
+        toastr.error(t('图片读取失败'));
+    }
+}
+
+function removeMaskImage() {
+    const previous = extension_settings[extensionName].maskImage;
+    saveSetting('maskImage', '');
+    renderMaskPreview();
+    if (previous) releaseImages([previous]);
+}
+
+function renderMaskPreview() {
+    const container = $('#img-router-mask-preview');
+    if (!container.length) return;
+    const mask = extension_settings[extensionName].maskImage;
+    container.empty();
+    if (!mask) return;
+    $('<div class="img-router-preview-item"><button class="remove-btn"><i class="fa-solid fa-times"></i></button></div>')
+        .attr('title', t('蒙版'))
+        .prepend(createImageElement(mask, { alt: 'mask' }))
+        .appendTo(container);
+    hydrateImageRefs(container);
+}
+
+// 图片 API 专用的选项只在该模式下显示
+function renderRequestModeOptions() {
+    const imagesMode = extension_settings[extensionName].requestMode === 'images';
+    $('.img-router-images-only').toggle(imagesMode);
+    $('.img-router-chat-only').toggle(!imagesMode);
+}
+
+function removeReferenceImage(index) {
+    const images = extension_settings[extensionName].referenceImages || [];
+    const removed = images.splice(index, 1);
+    saveSetting('referenceImages', images);
+    updateImagePreviews();
+    releaseImages(removed);
+}
+
+function clearAllImages() {
+    const removed = extension_settings[extensionName].referenceImages || [];
+    saveSetting('referenceImages', []);
+    updateImagePreviews();
+    releaseImages(removed);
+}
+
+// ================= 历史记录画廊逻辑 =================
+
+// 旧版历史记录没有 id，补上以便在筛选和分页后定位
+function ensureHistoryIds() {
+    (extension_settings[extensionName].generatedHistory || []).forEach(item => {
+        if (!item.id) item.id = createId();
+    });
+}
+
+function findHistoryItem(id) {
+    return (extension_settings[extensionName].generatedHistory || []).find(item => item.id === id) || null;
+}
+
+async function addToHistory(imageUrls, prompt, meta = {}) {
+    const urls = [];
+    for (const imageUrl of [].concat(imageUrls)) {
+        try {
+            urls.push(await storeImage(imageUrl));
+        } catch (error) {
+            console.error('[img-router] Store image failed, keeping original url:', error);
+            urls.push(imageUrl);
+        }
+    }
+
+    const history = extension_settings[extensionName].generatedHistory || [];
+    history.unshift({
+        id: createId(),
+        url: urls[0],
+        variants: urls.length > 1 ? urls : undefined,
+        prompt: prompt,
+        time: new Date().toLocaleString(),
+        createdAt: Date.now(),
+        ...meta,
+    });
+    const removed = truncateHistory(history);
+    saveSetting('generatedHistory', history);
+    renderHistoryGallery();
+    releaseImages(removed);
+}
+
+// 超出上限时从最旧的非收藏记录开始删除，返回被删除的图片引用
+function truncateHistory(history) {
+    const limit = Math.max(1, parseInt(extension_settings[extensionName].historyLimit) || 1);
+    const removed = [];
+    let kept = 0;
+    for (let i = 0; i < history.length; i++) {
+        if (history[i].favorite || ++kept <= limit) continue;
+        removed.push(...getHistoryRefs(history[i]));
+        history.splice(i--, 1);
+    }
+    return removed;
+}
+
+function deleteHistoryItem(id) {
+    const history = extension_settings[extensionName].generatedHistory || [];
+    const index = history.findIndex(item => item.id === id);
+    if (index === -1) return;
+    const removed = history.splice(index, 1).flatMap(getHistoryRefs);
+    saveSetting('generatedHistory', history);
+    renderHistoryGallery();
+    releaseImages(removed);
+}
+
+function toggleHistoryFavorite(id) {
+    const item = findHistoryItem(id);
+    if (!item) return;
+    item.favorite = !item.favorite;
+    const history = extension_settings[extensionName].generatedHistory;
+    const removed = item.favorite ? [] : truncateHistory(history);
+    saveSetting('generatedHistory', history);
+    renderHistoryGallery();
+    releaseImages(removed);
+}
+
+// 用记录中保存的参数重新生成（参考图使用当前设置）
+function rerunHistoryItem(id) {
+    const item = findHistoryItem(id);
+    if (!item) return;
+    // 旧版记录只有模型、尺寸和种子
+    const overrides = item.overrides || { model: item.model, size: item.size, params: item.seed !== undefined ? { seed: item.seed } : {} };
+    const job = enqueueGeneration(item.prompt, { source: 'history', overrides });
+    toastr.info(t('已按原参数加入生成队列'));
+    job.promise.then(() => toastr.success(t('重新生成完成，已加入历史记录'))).catch(() => {});
+}
+
+async function copyPromptText(prompt) {
+    try {
+        await navigator.clipboard.writeText(prompt);
+        toastr.success(t('提示词已复制'));
+    } catch (error) {
+        toastr.error(t('复制失败，请手动复制'));
+    }
+}
+
+function copyHistoryPrompt(id) {
+    const item = findHistoryItem(id);
+    if (item) copyPromptText(item.prompt);
+}
+
+// 读取任意图片地址为 Blob（本地存储、data URL 或可跨域访问的链接）
+async function loadImageAsBlob(ref) {
+    if (isStoredImageRef(ref)) return loadImageBlob(ref);
+    if (ref.startsWith('data:')) return dataUrlToBlob(ref);
+    const response = await fetch(ref);
+    if (!response.ok) throw new Error(t('读取图片失败 ({status})', { status: response.status }));
+    return response.blob();
+}
+
+async function sendHistoryToReferences(id, variant = 0) {
+    const item = findHistoryItem(id);
+    if (!item) return;
+    try {
+        await addReferenceImage(await loadImageAsBlob(getHistoryRefs(item)[variant] || item.url));
+    } catch (error) {
+        console.error('[img-router] Send to references failed:', error);
+        toastr.error(t('无法添加为参考图: {error}', { error: error.message }));
+    }
+}
+
+function renderHistoryGallery() {
+    const container = $('#img-router-history-container');
+    const history = extension_settings[extensionName].generatedHistory || [];
+    container.empty();
+    renderHistoryBrowser();
+    
+    if (history.length === 0) {
+        container.html(`<div style="text-align:center; opacity:0.5; padding:20px;">${t('暂无生成记录')}</div>`);
+        return;
+    }
+
+    history.forEach(item => container.append(buildHistoryItem(item)));
+    hydrateImageRefs(container);
+}
+
+// ================= 历史图库 =================
+
+const HISTORY_PAGE_SIZE = 24;
+const historyBrowserState = { page: 0, query: '', model: '', character: '', favoritesOnly: false };
+
+function getFilteredHistory() {
+    const { query, model, character, favoritesOnly } = historyBrowserState;
+    const needle = query.trim().toLowerCase();
+    return (extension_settings[extensionName].generatedHistory || []).filter(item => {
+        if (favoritesOnly && !item.favorite) return false;
+        if (model && item.model !== model) return false;
+        if (character && item.character !== character) return false;
+        if (!needle) return true;
+        return [item.prompt, item.model, item.profile, item.character, item.size, String(item.seed ?? '')]
+            .some(value => String(value || '').toLowerCase().includes(needle));
+    });
+}
+
+function renderFilterOptions(select, values, current, emptyLabel) {
+    const options = [...new Set(values.filter(Boolean))].sort();
+    select.empty().append($('<option>').val('').text(emptyLabel));
+    options.forEach(value => select.append($('<option>').val(value).text(value)));
+    select.val(options.includes(current) ? current : '');
+}
+
+// 图库弹窗打开时刷新其内容
+function renderHistoryBrowser() {
+    const view = $('#img-router-history-browser');
+    if (!view.length) return;
+    const history = extension_settings[extensionName].generatedHistory || [];
+    renderFilterOptions(view.find('.history-filter-model'), history.map(item => item.model), historyBrowserState.model, t('全部模型'));
+    renderFilterOptions(view.find('.history-filter-character'), history.map(item => item.character), historyBrowserState.character, t('全部角色'));
+
+    const items = getFilteredHistory();
+    const pageCount = Math.max(1, Math.ceil(items.length / HISTORY_PAGE_SIZE));
+    historyBrowserState.page = Math.min(historyBrowserState.page, pageCount - 1);
+    const pageItems = items.slice(historyBrowserState.page * HISTORY_PAGE_SIZE, (historyBrowserState.page + 1) * HISTORY_PAGE_SIZE);
+
+    const grid = view.find('.history-browser-grid').empty();
+    if (pageItems.length === 0) {
+        grid.html(`<div style="grid-column: 1 / -1; text-align:center; opacity:0.5; padding:20px;">${t('没有符合条件的记录')}</div>`);
+    }
+    pageItems.forEach(item => grid.append(buildHistoryCard(item)));
+    hydrateImageRefs(grid);
+
+    view.find('.history-browser-page').text(t('{page} / {pages} (共 {count} 条)', { page: historyBrowserState.page + 1, pages: pageCount, count: items.length }));
+    view.find('.history-browser-prev').prop('disabled', historyBrowserState.page === 0);
+    view.find('.history-browser-next').prop('disabled', historyBrowserState.page >= pageCount - 1);
+}
+
+async function openHistoryBrowser() {
+    const view = $(`
+        <div id="img-router-history-browser">
+            <div class="history-browser-toolbar">
+                <input type="search" class="text_pole history-search" placeholder="${t('搜索提示词、模型、配置、角色...')}" />
+                <select class="text_pole history-filter-model"></select>
+                <select class="text_pole history-filter-character"></select>
+                <label class="checkbox_label"><input type="checkbox" class="history-filter-favorites" /> ${t('只看收藏')}</label>
+            </div>
+            <div class="history-browser-grid"></div>
+            <div class="history-browser-pager">
+                <button class="menu_button history-browser-prev"><i class="fa-solid fa-chevron-left"></i></button>
+                <span class="history-browser-page"></span>
+                <button class="menu_button history-browser-next"><i class="fa-solid fa-chevron-right"></i></button>
+            </div>
+        </div>
+    `);
+    view.find('.history-search').val(historyBrowserState.query);
+    view.find('.history-filter-favorites').prop('checked', historyBrowserState.favoritesOnly);
+
+    const updateFilter = (key, value) => {
+        historyBrowserState[key] = value;
+        historyBrowserState.page = 0;
+        renderHistoryBrowser();
+    };
+    view.on('input', '.history-search', function() { updateFilter('query', $(this).val()); });
+    view.on('change', '.history-filter-model', function() { updateFilter('model', $(this).val()); });
+    view.on('change', '.history-filter-character', function() { updateFilter('character', $(this).val()); });
+    view.on('change', '.history-filter-favorites', function() { updateFilter('favoritesOnly', $(this).prop('checked')); });
+    view.on('click', '.history-browser-prev, .history-browser-next', function() {
+        historyBrowserState.page += $(this).hasClass('history-browser-next') ? 1 : -1;
+        renderHistoryBrowser();
+    });
+
+    const cardId = element => $(element).closest('.history-card').attr('data-id');
+    view.on('click', '.history-rerun', function() { rerunHistoryItem(cardId(this)); });
+    view.on('click', '.history-copy', function() { copyHistoryPrompt(cardId(this)); });
+    view.on('click', '.history-to-ref', function() { sendHistoryToReferences(cardId(this)); });
+
+    const popup = callGenericPopup(view, POPUP_TYPE.DISPLAY, '', { wide: true, large: true, allowVerticalScrolling: true });
+    renderHistoryBrowser();
+    await popup;
+}
+
+function clearHistory() {
+    if (confirm(t('确定要删除所有历史生成记录吗？（收藏的记录会保留）'))) {
+        const history = extension_settings[extensionName].generatedHistory || [];
+        const removed = history.filter(item => !item.favorite).flatMap(getHistoryRefs);
+        saveSetting('generatedHistory', history.filter(item => item.favorite));
+        renderHistoryGallery();
+        releaseImages(removed);
+        toastr.info(t('历史记录已清空'));
+    }
+}
+
+// ================= API 交互逻辑 =================
+
+async function testConnection() {
+    const statusEl = $('#img-router-connection-status');
+    const apiUrl = normalizeApiUrl($('#img-router-api-url').val());
+    if (!apiUrl) return toastr.error(t('请输入 API 地址'));
+
+    statusEl.html(`<i class="fa-solid fa-spinner fa-spin"></i> ${t('测试中...')}`);
+    try {
+        const response = await fetch(`${apiUrl}/health`);
+        if (response.ok) {
+            statusEl.html(`<span style="color:#4caf50">${t('连接成功')}</span>`);
+            refreshModels();
+            return;
+        }
+
+        const uiResponse = await fetch(`${apiUrl}/api/health`).catch(() => null);
+        if (uiResponse && (uiResponse.ok || uiResponse.status === 401)) {
+            statusEl.html(`<span style="color:#f44336">${t('当前是管理端口，请使用 API 端口 (默认 10001)')}</span>`);
+            return;
+        }
+
+        statusEl.html(`<span style="color:#f44336">${t('错误: {status}', { status: response.status })}</span>`);
+    } catch (error) {
+        statusEl.html(`<span style="color:#f44336">${t('连接失败')}</span>`);
+    }
+}
+
+function buildMessages(prompt, images) {
+    const content = [];
+    if (prompt) content.push({ type: 'text', text: prompt });
+    if (images && images.length > 0) {
+        images.forEach(imgData => content.push({ type: 'image_url', image_url: { url: imgData } }));
+    }
+    return [{ role: 'user', content: content.length === 1 && content[0].type === 'text' ? content[0].text : content }];
+}
+
+const RETRYABLE_STATUS = new Set([429, 502, 503, 504]);
+const RETRY_BASE_DELAY = 2000;
+const RETRY_MAX_DELAY = 30000;
+
+function createRequestError(message, { status = 0, retryable = false, retryAfter = null } = {}) {
+    const error = new Error(message);
+    error.status = status;
+    error.retryable = retryable;
+    error.retryAfter = retryAfter;
+    return error;
+}
+
+// fetch 与读取响应流时的网络故障（TypeError）打上标记，只有带标记的才按网络错误重试，其余 TypeError 是代码错误
+function markNetworkError(error) {
+    if (error && error.name !== 'AbortError') error.networkError = true;
+    return error;
+}
+
+function fetchWithNetworkTag(url, options) {
+    return fetch(url, options).catch(error => {
+        throw markNetworkError(error);
+    });
+}
+
+// Retry-After 可以是秒数或 HTTP 日期，返回毫秒
+function parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+    return null;
+}
+
+function getRetryDelay(attempt) {
+    const delay = Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * 2 ** attempt);
+    // 加入少量抖动，避免并发任务同时重试
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(signal.reason);
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        function onAbort() {
+            clearTimeout(timer);
+            reject(signal.reason);
+        }
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// 为单次请求创建信号：跟随外部取消，并在超时后自行中断
+function createAttemptSignal(parentSignal, timeoutMs) {
+    const controller = new AbortController();
+    const state = { signal: controller.signal, timedOut: false };
+    const onAbort = () => controller.abort(parentSignal.reason);
+
+    if (parentSignal) {
+        if (parentSignal.aborted) onAbort();
+        else parentSignal.addEventListener('abort', onAbort, { once: true });
+    }
+    const timer = timeoutMs > 0 ? setTimeout(() => {
+        state.timedOut = true;
+        controller.abort();
+    }, timeoutMs) : null;
+
+    state.cleanup = () => {
+        if (timer) clearTimeout(timer);
+        parentSignal?.removeEventListener('abort', onAbort);
+    };
+    return state;
+}
+
+/**
+ * 调用后端生成图片，返回 { result, profileName, model, size, params }：
+ * 解析后的响应 { images, text }、实际出图的配置以及实际发送的模型参数（用于复现）。
+ * 失败时抛出异常（由任务队列统一处理提示），signal 用于取消请求。
+ * 超时、网络错误以及 429/502/503/504 会按指数退避自动重试，onRetry 在每次重试前回调；
+ * 流式响应过程中 onProgress 回调 { text, preview }（最新进度文字与预览图）；
+ * 启用故障转移时，当前配置重试用尽后依次尝试其他配置。
+ */
+async function generateImage(prompt, referenceImages = null, { signal, onRetry, onProgress, overrides = {} } = {}) {
+    const settings = extension_settings[extensionName];
+    const chain = getConnectionChain().map(connection => ({
+        ...connection,
+        model: overrides.model || connection.model,
+        size: overrides.size || connection.size,
+    }));
+
+    if (chain.length === 0) {
+        throw new Error(t('请先配置 API 地址和访问令牌'));
+    }
+
+    const promptPrefix = overrides.promptPrefix ?? settings.promptPrefix;
+    let finalPrompt = prompt;
+    if (promptPrefix && promptPrefix.trim() !== '') {
+        finalPrompt = `${promptPrefix}, ${prompt}`;
+    }
+
+    const images = referenceImages || settings.referenceImages || [];
+    // 参考图可能是本地存储引用，发送前转换为 data URL
+    const imageData = await Promise.all(images.map(resolveImageDataUrl));
+
+    for (let i = 0; i < chain.length; i++) {
+        const connection = chain[i];
+        let parts = imageData;
+        if (parts.length > 0 && modelSupportsImageInput(connection.model) === false) {
+            toastr.warning(t('模型 {model} 不支持参考图，本次仅发送文字提示词', { model: connection.model }));
+            parts = [];
+        }
+        // 超出模型上限时按顺序保留（头像、预设固定参考图在前）
+        const refLimit = getReferenceLimit(connection.model);
+        if (parts.length > refLimit) {
+            toastr.warning(t('模型 {model} 最多使用 {limit} 张参考图，已忽略 {ignored} 张', { model: connection.model || t('默认'), limit: refLimit, ignored: parts.length - refLimit }));
+            parts = parts.slice(0, refLimit);
+        }
+
+        const modelParams = buildModelParams(connection.model, overrides.negativePrompt, overrides.params || snapshotGenerationParams());
+        const useImagesApi = connection.requestMode === 'images';
+        const requestBody = useImagesApi ? {
+            model: connection.model || undefined,
+            prompt: finalPrompt,
+            size: connection.size || undefined,
+            response_format: connection.responseFormat || undefined,
+            ...modelParams,
+        } : {
+            model: connection.model || undefined,
+            messages: buildMessages(finalPrompt, parts),
+            stream: settings.stream,
+            size: connection.size || undefined,
+            ...modelParams,
+        };
+
+        Object.keys(requestBody).forEach(key => requestBody[key] === undefined && delete requestBody[key]);
+
+        try {
+            console.log(`[img-router] Sending Request via "${connection.name}" (${useImagesApi ? 'images' : 'chat'}):`, requestBody);
+            // 图片 API 有参考图时走 edits，表单在每次尝试时重新构建
+            const mask = useImagesApi && parts.length > 0 ? settings.maskImage : '';
+            const send = useImagesApi
+                ? attemptSignal => requestImages(connection, requestBody, parts, mask, attemptSignal)
+                : attemptSignal => requestCompletion(connection.apiUrl, connection.apiKey, requestBody, attemptSignal, onProgress);
+            const result = await requestWithRetry(send, { signal, onRetry });
+            console.log(`[img-router] Parsed ${result.images.length} image(s) from response`);
+            return {
+                result,
+                profileName: connection.name,
+                model: requestBody.model || '',
+                size: requestBody.size || '',
+                params: modelParams,
+            };
+        } catch (error) {
+            const next = chain[i + 1];
+            if (signal?.aborted || !next || !isFailoverError(error)) throw error;
+            console.warn(`[img-router] "${connection.name}" failed, failing over to "${next.name}":`, error);
+            toastr.info(t('「{name}」不可用 ({error})，改用「{next}」', { name: connection.name, error: error.message, next: next.name }));
+        }
+    }
+}
+
+// 对单个连接发送请求，可重试错误按指数退避重试
+async function requestWithRetry(send, { signal, onRetry } = {}) {
+    const settings = extension_settings[extensionName];
+    const maxRetries = Math.max(0, parseInt(settings.maxRetries) || 0);
+    const timeoutSeconds = Math.max(0, Number(settings.requestTimeout) || 0);
+
+    for (let attempt = 0; ; attempt++) {
+        const attemptSignal = createAttemptSignal(signal, timeoutSeconds * 1000);
+        try {
+            return await send(attemptSignal.signal);
+        } catch (error) {
+            // 用户取消：直接向上抛出，不重试
+            if (signal?.aborted) throw error;
+
+            let failure = error;
+            if (attemptSignal.timedOut) {
+                failure = createRequestError(t('请求超时 ({seconds}s)', { seconds: timeoutSeconds }), { retryable: true });
+            } else if (error?.networkError) {
+                failure = createRequestError(t('网络错误: {error}', { error: error.message }), { retryable: true });
+            }
+
+            if (!failure.retryable || attempt >= maxRetries) throw failure;
+
+            // 服务器给出的 Retry-After 可能长达数小时，同样不超过退避上限
+            const delay = Math.min(failure.retryAfter ?? getRetryDelay(attempt), RETRY_MAX_DELAY);
+            console.warn(`[img-router] ${failure.message}, retry ${attempt + 1}/${maxRetries} in ${delay}ms`);
+            onRetry?.({ attempt: attempt + 1, maxRetries, delay, error: failure });
+            await sleep(delay, signal);
+        } finally {
+            attemptSignal.cleanup();
+        }
+    }
+}
+
+// 发送一次 chat/completions 请求并解析出图片与文字（含流式解析）
+async function requestCompletion(apiUrl, apiKey, requestBody, signal, onProgress = null) {
+    const response = await fetchWithNetworkTag(`${apiUrl}/v1/chat/completions`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${apiKey}`,
+        },
+        body: JSON.stringify(requestBody),
+        signal,
+    });
+
+    if (!response.ok) await throwResponseError(response);
+    if (!requestBody.stream) return readJsonResponse(response);
+
+    // 流式：文字增量拼接，非文字的分段（图片、数组形式的 content）单独收集
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let rawBuffer = '';
+    let text = '';
+    let statusNote = ''; // 后端单独发送的进度信息，不计入结果
+    const parts = [];
+
+    const appendDelta = (data) => {
+        if (!data || data === '[DONE]') return;
+        let json;
+        try {
+            json = JSON.parse(data);
+        } catch {
+            statusNote = data;
+            return;
+        }
+        const delta = json.choices?.[0]?.delta;
+        if (!delta) {
+            // 部分后端在流中直接返回完整的图片结果，或单独发送进度
+            if (json.data || json.images || json.b64_json) parts.push(json);
+            const note = [json.message || json.status, json.progress !== undefined ? `${json.progress}%` : ''].filter(Boolean).join(' ');
+            if (note) statusNote = note;
+            return;
+        }
+        if (typeof delta.content === 'string') text += delta.content;
+        else if (Array.isArray(delta.content)) parts.push(...delta.content);
+        if (Array.isArray(delta.images)) parts.push(...delta.images);
+    };
+
+    // 按时间节流地把已收到的内容整理为进度（最后一行文字 + 最新一张预览图）
+    // 文字中可能内嵌数 MB 的 base64，每次只看文字末尾和新收到的图片分段，完整解析留到流结束
+    let lastReport = 0;
+    let reportedParts = 0;
+    let preview = null;
+    const reportProgress = () => {
+        if (!onProgress || Date.now() - lastReport < PROGRESS_INTERVAL) return;
+        lastReport = Date.now();
+        if (parts.length > reportedParts) {
+            const { images } = normalizeImageResponse(parts.slice(reportedParts));
+            reportedParts = parts.length;
+            if (images.length) preview = images[images.length - 1].url;
+        }
+        const linked = [...text.slice(-PROGRESS_TAIL_LENGTH).matchAll(/!\[[^\]]*\]\((https?:\/\/[^\s)]+)\)/g)].pop();
+        if (linked) preview = linked[1];
+        const lastLine = getProgressLine(text) || statusNote;
+        onProgress({ text: lastLine.slice(0, 120), preview });
+    };
+
+    const parser = createSseParser(({ event, data }) => {
+        if (event === 'error') {
+            let message = data;
+            try {
+                message = getErrorMessage(JSON.parse(data).error ?? JSON.parse(data));
+            } catch {}
+            throw createRequestError(`API Error: ${message}`);
+        }
+        appendDelta(data);
+        reportProgress();
+    });
+
+    try {
+        while (true) {
+            const { done, value } = await reader.read().catch(error => {
+                throw markNetworkError(error);
+            });
+            if (done) break;
+            const chunk = decoder.decode(value, { stream: true });
+            rawBuffer += chunk;
+            parser.push(chunk);
+        }
+        parser.end();
+    } catch (error) {
+        // 流中的 error 事件：停止读取剩余内容
+        reader.cancel().catch(() => {});
+        throw error;
+    }
+
+    if (text || parts.length > 0) return normalizeImageResponse([text, ...parts]);
+
+    // 流解析为空：后端可能忽略了 stream 参数，按完整响应解析
+    if (!rawBuffer.trim()) return { images: [], text: '' };
+    console.log('[img-router] Stream parsing empty, checking raw buffer...');
+    let json;
+    try {
+        json = JSON.parse(rawBuffer);
+    } catch {
+        return normalizeImageResponse(rawBuffer.trim());
+    }
+    if (json?.error) throw createRequestError(getErrorMessage(json.error));
+    return normalizeImageResponse(json);
+}
+
+const PROGRESS_INTERVAL = 250;
+const PROGRESS_TAIL_LENGTH = 2000;
+
+// 流式文字的最后一行可读文字，跳过 markdown 图片、data URL 和成段的 base64
+function getProgressLine(text) {
+    return text.slice(-PROGRESS_TAIL_LENGTH)
+        .replace(/!\[[^\]]*\]\([^)]*\)?/g, '')
+        .replace(/data:image\/[^\s)]*/g, '')
+        .split('\n')
+        .map(line => line.trim())
+        .filter(line => line && !/[A-Za-z0-9+/=]{100,}/.test(line))
+        .pop() || '';
+}
+
+/**
+ * 按 SSE 规范解析事件流：CRLF / LF / CR 换行、以冒号开头的注释、event 与 id 字段、
+ * 多行 data（以换行连接），每个以空行结束的事件回调一次 onEvent({ event, data, id })。
+ * 流结束时未以空行结束的最后一个事件也会派发，兼容不规范的后端。
+ */
+function createSseParser(onEvent) {
+    let buffer = '';
+    let eventType = '';
+    let dataLines = [];
+    let lastEventId = '';
+
+    const dispatch = () => {
+        if (dataLines.length > 0) onEvent({ event: eventType || 'message', data: dataLines.join('\n'), id: lastEventId });
+        eventType = '';
+        dataLines = [];
+    };
+
+    const processLine = (line) => {
+        if (line === '') return dispatch();
+        if (line.startsWith(':')) return;
+        const colon = line.indexOf(':');
+        const field = colon === -1 ? line : line.slice(0, colon);
+        let value = colon === -1 ? '' : line.slice(colon + 1);
+        if (value.startsWith(' ')) value = value.slice(1);
+        switch (field) {
+            case 'event':
+                eventType = value;
+                break;
+            case 'data':
+                dataLines.push(value);
+                break;
+            case 'id':
+                if (!value.includes('\0')) lastEventId = value;
+                break;
+            // retry 只用于 EventSource 自动重连，这里忽略
+        }
+    };
+
+    return {
+        push(chunk) {
+            buffer += chunk;
+            // 末尾的 \r 可能是被拆到两个数据块的 \r\n，留到下一块再处理
+            const end = buffer.endsWith('\r') ? buffer.length - 1 : buffer.length;
+            const lines = buffer.slice(0, end).split(/\r\n|\r|\n/);
+            buffer = lines.pop() + buffer.slice(end);
+            lines.forEach(processLine);
+        },
+        end() {
+            if (buffer) processLine(buffer.replace(/\r$/, ''));
+            buffer = '';
+            dispatch();
+        },
+    };
+}
+
+// 非 2xx 响应转换为请求错误（标记是否可重试）
+async function throwResponseError(response) {
+    // 先读文本再尝试解析 JSON，body 只能读取一次
+    let message = await response.text().catch(() => '');
+    try {
+        const data = JSON.parse(message);
+        message = data?.error?.message || data?.error || JSON.stringify(data);
+    } catch {}
+    throw createRequestError(`API Error ${response.status}: ${message}`, {
+        status: response.status,
+        retryable: RETRYABLE_STATUS.has(response.status),
+        retryAfter: parseRetryAfter(response.headers.get('Retry-After')),
+    });
+}
+
+async function readJsonResponse(response) {
+    const raw = await response.text().catch(error => {
+        throw markNetworkError(error);
+    });
+    let data;
+    try {
+        data = JSON.parse(raw);
+    } catch {
+        return normalizeImageResponse(raw);
+    }
+    if (data?.error) throw createRequestError(getErrorMessage(data.error));
+    return normalizeImageResponse(data);
+}
+
+/**
+ * OpenAI 图片 API：无参考图时 JSON 请求 /v1/images/generations，
+ * 有参考图时以 multipart 请求 /v1/images/edits（多张图片使用 image[]，可附带蒙版）。
+ */
+async function requestImages(connection, requestBody, images, mask, signal) {
+    const headers = { 'Authorization': `Bearer ${connection.apiKey}` };
+    let body;
+    let endpoint = 'generations';
+    if (images.length === 0) {
+        headers['Content-Type'] = 'application/json';
+        body = JSON.stringify(requestBody);
+    } else {
+        endpoint = 'edits';
+        body = new FormData();
+        for (const [key, value] of Object.entries(requestBody)) {
+            body.append(key, typeof value === 'object' ? JSON.stringify(value) : String(value));
+        }
+        const field = images.length > 1 ? 'image[]' : 'image';
+        for (let i = 0; i < images.length; i++) {
+            const blob = await loadImageAsBlob(images[i]);
+            body.append(field, blob, `image_${i + 1}.${getImageExtension(blob.type)}`);
+        }
+        if (mask) {
+            const maskBlob = await loadImageAsBlob(mask);
+            body.append('mask', maskBlob, `mask.${getImageExtension(maskBlob.type)}`);
+        }
+    }
+
+    const response = await fetchWithNetworkTag(`${connection.apiUrl}/v1/images/${endpoint}`, { method: 'POST', headers, body, signal });
+    if (!response.ok) await throwResponseError(response);
+    return readJsonResponse(response);
+}
+
+function getImageExtension(mime) {
+    return { 'image/jpeg': 'jpg', 'image/webp': 'webp', 'image/gif': 'gif' }[mime] || 'png';
+}
+
+function getErrorMessage(error) {
+    if (typeof error === 'string') return error;
+    return error?.message || error?.error || JSON.stringify(error);
+}
+
+// ================= 生成任务队列 =================
+
+const JOB_STATUS_LABELS = {
+    queued: '排队中',
+    running: '生成中',
+    done: '已完成',
+    failed: '失败',
+    cancelled: '已取消',
+};
+const JOB_STATUS_ICONS = {
+    queued: 'fa-clock',
+    running: 'fa-spinner fa-spin',
+    done: 'fa-check',
+    failed: 'fa-triangle-exclamation',
+    cancelled: 'fa-ban',
+};
+const MAX_FINISHED_JOBS = 10;
+
+let jobs = [];
+let nextJobId = 1;
+
+function isJobActive(job) {
+    return job.status === 'queued' || job.status === 'running';
+}
+
+function findJob(jobId) {
+    return jobs.find(job => job.id === Number(jobId)) || null;
+}
+
+/**
+ * 将一次生成加入队列。内联触发、快速生成和代码调用都走这里。
+ * 返回 job，job.promise 成功时 resolve 第一张图片地址（全部图片见 job.imageUrls），失败或取消时 reject。
+ */
+function enqueueGeneration(prompt, { referenceImages = null, source = 'api', target = null, overrides = {} } = {}) {
+    const settings = extension_settings[extensionName];
+    // 入队时固定当前聊天的预设与参考图，排队期间切换聊天或修改面板不影响该任务
+    const effective = getEffectiveSettings();
+    const job = {
+        id: nextJobId++,
+        prompt,
+        source,
+        target, // 内联任务对应的 { message, index }
+        // 记录到历史中的来源信息
+        context: {
+            chatId: getContext().chatId || '',
+            character: getCurrentCharacter()?.name || getContext().name2 || '',
+        },
+        overrides: {
+            promptPrefix: overrides.promptPrefix ?? effective.promptPrefix,
+            negativePrompt: overrides.negativePrompt ?? effective.negativePrompt,
+            model: overrides.model || effective.model,
+            size: overrides.size || effective.size,
+            params: { ...snapshotGenerationParams(), ...overrides.params },
+        },
+        referenceImages: referenceImages || [
+            ...getAvatarReferences(target?.message).map(item => item.ref),
+            ...effective.pinnedReferences,
+            ...(settings.referenceImages || []),
+        ],
+        usesGlobalReferences: !referenceImages,
+        status: 'queued',
+        error: null,
+        imageUrl: null,
+        controller: new AbortController(),
+    };
+    job.promise = new Promise((resolve, reject) => {
+        job.resolve = resolve;
+        job.reject = reject;
+    });
+    // 调用方不一定关心失败，避免 unhandled rejection
+    job.promise.catch(() => {});
+
+    jobs.push(job);
+    onJobChanged(job);
+    pumpQueue();
+    return job;
+}
+
+function pumpQueue() {
+    const limit = Math.max(1, parseInt(extension_settings[extensionName].maxConcurrency) || 1);
+    let running = jobs.filter(job => job.status === 'running').length;
+    for (const job of jobs) {
+        if (running >= limit) break;
+        if (job.status !== 'queued') continue;
+        running++;
+        runJob(job);
+    }
+}
+
+async function runJob(job) {
+    job.status = 'running';
+    job.startedAt = Date.now();
+    job.progress = null;
+    onJobChanged(job);
+    startElapsedTimer();
+
+    try {
+        const { result, profileName, model, size, params } = await generateImage(job.prompt, job.referenceImages, {
+            signal: job.controller.signal,
+            overrides: job.overrides,
+            onProgress: (progress) => {
+                job.progress = progress;
+                onJobProgress(job);
+            },
+            onRetry: ({ attempt, maxRetries, delay, error }) => {
+                job.retry = { attempt, maxRetries };
+                job.progress = null;
+                job.error = error.message;
+                onJobChanged(job);
+                toastr.warning(t('{error}，{seconds} 秒后重试 ({attempt}/{max})', { error: error.message, seconds: Math.ceil(delay / 1000), attempt, max: maxRetries }));
+            },
+        });
+        const imageUrls = result.images.map(image => image.url);
+        if (imageUrls.length === 0) {
+            throw new Error(result.text ? t('未返回图片: {text}', { text: result.text.slice(0, 200) }) : t('无法解析图片数据'));
+        }
+        const imageUrl = imageUrls[0];
+        job.responseText = result.text;
+
+        job.imageUrls = imageUrls;
+        job.imageUrl = imageUrl;
+        job.profileName = profileName;
+        job.error = null;
+        job.status = 'done';
+        // 使用了面板中的参考图且未固定时，成功后清空（预设中的固定参考图不受影响）
+        if (job.usesGlobalReferences && extension_settings[extensionName].referenceImages?.length > 0 && !extension_settings[extensionName].fixReferenceImages) {
+            clearAllImages();
+        }
+        await addToHistory(imageUrls, job.prompt, {
+            profile: profileName,
+            model,
+            size,
+            seed: params.seed,
+            params,
+            overrides: job.overrides, // 重新生成时原样使用
+            duration: Date.now() - job.startedAt,
+            chatId: job.context.chatId,
+            character: job.context.character,
+            responseText: result.text || undefined, // 模型随图片返回的文字
+        });
+        rememberLastSeed(params.seed);
+        job.resolve(imageUrl);
+    } catch (error) {
+        if (job.controller.signal.aborted) {
+            job.status = 'cancelled';
+        } else {
+            console.error('[img-router] Error:', error);
+            job.status = 'failed';
+            job.error = error.message;
+            toastr.error(t('生成失败: {error}', { error: error.message }));
+        }
+        job.reject(error);
+    } finally {
+        finishJob(job);
+    }
+}
+
+function finishJob(job) {
+    onJobChanged(job);
+    // 只保留最近的若干条已结束任务用于展示
+    const finished = jobs.filter(item => !isJobActive(item));
+    if (finished.length > MAX_FINISHED_JOBS) {
+        const stale = new Set(finished.slice(0, finished.length - MAX_FINISHED_JOBS));
+        jobs = jobs.filter(item => !stale.has(item));
+        renderQueuePanel();
+    }
+    pumpQueue();
+}
+
+// 未锁定种子时显示最近一次使用的种子，方便锁定后复现
+function rememberLastSeed(seed) {
+    const settings = extension_settings[extensionName];
+    if (settings.seedLocked || seed === undefined) return;
+    saveSetting('seed', seed);
+    $('#img-router-seed').val(seed);
+}
+
+function cancelJob(jobId) {
+    const job = findJob(jobId);
+    if (!job || !isJobActive(job)) return;
+
+    job.controller.abort();
+    // 运行中的任务由 runJob 在 fetch 中断后收尾
+    if (job.status === 'queued') {
+        const error = new Error(t('任务已取消'));
+        error.name = 'AbortError';
+        job.status = 'cancelled';
+        job.reject(error);
+        finishJob(job);
+    }
+}
+
+function clearFinishedJobs() {
+    jobs = jobs.filter(isJobActive);
+    renderQueuePanel();
+}
+
+function onJobChanged(job) {
+    $(`#chat [data-job-id="${job.id}"]`).each(function() {
+        renderTriggerState($(this), job);
+    });
+    renderQueuePanel();
+}
+
+// 流式进度只更新进度区域，避免整体重绘造成预览图闪烁
+function onJobProgress(job) {
+    $(`[data-job-id="${job.id}"] .img-router-progress`).each(function() {
+        renderJobProgress($(this), job);
+    });
+}
+
+function renderJobProgress(container, job) {
+    const progress = job.progress || {};
+    let text = container.children('.img-router-progress-text');
+    if (!text.length) text = $('<span class="img-router-progress-text"></span>').appendTo(container);
+    text.text(progress.text || '');
+
+    // 队列面板中只显示文字
+    if (container.hasClass('img-router-progress-compact')) return;
+    let preview = container.children('.img-router-progress-preview');
+    if (!progress.preview || !isSafeImageUrl(progress.preview)) return preview.remove();
+    if (!preview.length) preview = $('<img class="img-router-progress-preview" alt="preview" />').appendTo(container);
+    if (preview.attr('src') !== progress.preview) preview.attr('src', progress.preview);
+}
+
+function elapsedHtml(job) {
+    return `<span class="img-router-elapsed" data-started="${job.startedAt}">${formatElapsed(Date.now() - job.startedAt)}</span>`;
+}
+
+function formatElapsed(ms) {
+    const seconds = Math.max(0, Math.floor(ms / 1000));
+    return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// 有任务运行时每秒刷新已用时间
+let elapsedTimer = null;
+
+function startElapsedTimer() {
+    if (elapsedTimer) return;
+    elapsedTimer = setInterval(() => {
+        $('.img-router-elapsed').each(function() {
+            $(this).text(formatElapsed(Date.now() - Number($(this).attr('data-started'))));
+        });
+        if (!jobs.some(job => job.status === 'running')) {
+            clearInterval(elapsedTimer);
+            elapsedTimer = null;
+        }
+    }, 1000);
+}
+
+function renderQueuePanel() {
+    const container = $('#img-router-queue-container');
+    if (!container.length) return;
+    container.empty();
+
+    if (jobs.length === 0) {
+        container.html(`<div style="text-align:center; opacity:0.5; padding:10px;">${t('暂无任务')}</div>`);
+        return;
+    }
+
+    jobs.forEach(job => {
+        let title = job.error ? `${job.prompt}\n${job.error}` : job.prompt;
+        if (job.profileName) title += `\n${t('配置: {name}', { name: job.profileName })}`;
+        const running = job.status === 'running';
+        const retryText = running && job.retry ? ` ${t('(重试 {attempt}/{max})', { attempt: job.retry.attempt, max: job.retry.maxRetries })}` : '';
+        const row = $(`
+            <div class="img-router-job-row" data-job-id="${job.id}" data-status="${job.status}">
+                <i class="fa-solid ${JOB_STATUS_ICONS[job.status]}"></i>
+                <span class="img-router-job-label">${t(JOB_STATUS_LABELS[job.status])}${retryText}${running ? ` ${elapsedHtml(job)}` : ''}</span>
+                <span class="img-router-job-prompt"></span>
+                ${running ? '<span class="img-router-progress img-router-progress-compact"></span>' : ''}
+                ${isJobActive(job) ? `<i class="fa-solid fa-xmark img-router-job-cancel" title="${t('取消')}"></i>` : ''}
+            </div>
+        `);
+        row.attr('title', title).find('.img-router-job-prompt').text(job.prompt);
+        if (running) renderJobProgress(row.find('.img-router-progress'), job);
+        container.append(row);
+    });
+}
+
+async function quickGenerate() {
+    const prompt = String($('#img-router-prompt').val() || '').trim();
+    if (!prompt) return toastr.warning(t('请输入提示词'));
+
+    const job = enqueueGeneration(prompt, { source: 'quick' });
+    $('#img-router-result').html(`
+        <div class="loading" data-job-id="${job.id}">
+            <i class="fa-solid fa-spinner fa-spin"></i>
+            <div class="img-router-progress"></div>
+            <button class="menu_button img-router-job-cancel" style="margin: 8px auto 0;">${t('取消')}</button>
+        </div>
+    `);
+    try {
+        const imageUrl = await job.promise;
+        $('#img-router-result').empty().append(createImageElement(imageUrl, { class: 'zoomable img-router-zoom' }));
+        toastr.success(t('生成成功'));
+    } catch {
+        $('#img-router-result').empty();
+    }
+}
+
+// ================= 占位符语法 =================
+
+/**
+ * 按宽高比推算尺寸：保持基准尺寸（未设置时为 1024x1024）的像素面积，边长取 64 的倍数。
+ */
+function aspectToSize(aspect, baseSize) {
+    const [w, h] = aspect.split(':').map(Number);
+    const base = /^(\d+)x(\d+)$/.exec(baseSize || '');
+    const area = base ? Number(base[1]) * Number(base[2]) : 1024 * 1024;
+    const round = value => Math.max(64, Math.round(value / 64) * 64);
+    const width = Math.sqrt(area * w / h);
+    return `${round(width)}x${round(area / width)}`;
+}
+
+function getCharacterAvatarUrl(message = null) {
+    const context = getContext();
+    const character = context.characterId !== undefined ? context.characters?.[context.characterId] : null;
+    // 群聊中使用发送该消息的角色
+    const avatar = message && !message.is_user && message.original_avatar ? message.original_avatar : character?.avatar;
+    return avatar && avatar !== 'none' ? `/characters/${encodeURIComponent(avatar)}` : null;
+}
+
+function getPersonaAvatarUrl() {
+    return user_avatar ? `/User%20Avatars/${encodeURIComponent(user_avatar)}` : null;
+}
+
+// 聊天中位于该占位符之前、最近一张已生成的图片
+function findPreviousChatImage(message, index) {
+    const chat = getContext().chat || [];
+    const position = chat.indexOf(message);
+    for (let i = position; i >= 0; i--) {
+        const images = chat[i]?.extra?.img_router?.images || {};
+        const indexes = Object.keys(images).map(Number)
+            .filter(key => i !== position || key < index)
+            .sort((a, b) => b - a);
+        if (indexes.length > 0) return images[indexes[0]].url;
+    }
+    return null;
+}
+
+/**
+ * 将占位符选项转换为入队参数。未指定 ref 时 referenceImages 为 null，沿用当前参考图。
+ */
+function buildPlaceholderRequest(rawOptions, target) {
+    const options = parsePlaceholderOptions(rawOptions);
+    const overrides = { params: {} };
+    if (options.model) overrides.model = options.model;
+    if (options.size) overrides.size = options.size;
+    else if (options.aspect) overrides.size = aspectToSize(options.aspect, getEffectiveSettings().size);
+    if (options.negative) overrides.negativePrompt = options.negative;
+    if (options.seed !== undefined) overrides.params.seed = options.seed;
+    if (options.count) overrides.params.n = options.count;
+
+    let referenceImages = null;
+    if (options.refs) {
+        const sources = {
+            avatar: () => getCharacterAvatarUrl(target?.message),
+            persona: getPersonaAvatarUrl,
+            prev: () => findPreviousChatImage(target?.message, target?.index),
+            none: () => null,
+        };
+        referenceImages = [];
+        for (const source of options.refs) {
+            const ref = sources[source]();
+            if (ref) referenceImages.push(ref);
+            else if (source !== 'none') toastr.warning(t('占位符参考图 {source} 不可用，已忽略', { source }));
+        }
+    }
+    return { overrides, referenceImages };
+}
+
+// ================= 聊天内联交互逻辑 =================
+
+// 生成的图片保存在所属消息的 extra 中（按占位符序号），随聊天保存、导出和删除
+function getMessageImage(message, index) {
+    return message?.extra?.img_router?.images?.[index] || null;
+}
+
+function setMessageImage(message, index, entry) {
+    if (!message) return;
+    message.extra = message.extra || {};
+    message.extra.img_router = message.extra.img_router || { images: {} };
+    message.extra.img_router.images[index] = entry;
+    // 生成期间可能已切换聊天，此时不保存，避免写入错误的聊天文件
+    if (getContext().chat?.includes(message)) saveChatDebounced();
+}
+
+// 旧版缓存 key（去除空白和特殊字符，取前100字符）
+function getPromptCacheKey(prompt) {
+    return prompt.replace(/<br\s*\/?>/gi, '\n').replace(/&[^;]+;/g, '').replace(/\s+/g, ' ').trim().substring(0, 100);
+}
+
+// 从旧版 promptImageCache 取出图片并移除该条目（迁移到消息后不再需要）
+function takeLegacyCachedImage(prompt) {
+    const cache = extension_settings[extensionName].promptImageCache || {};
+    const key = getPromptCacheKey(prompt);
+    const imageUrl = cache[key];
+    if (!imageUrl) return null;
+    delete cache[key];
+    saveSetting('promptImageCache', cache);
+    return imageUrl;
+}
+
+// 旧版缓存图片写入消息；本地存储中的图片转回 data URL，保证随聊天导出
+async function migrateLegacyImage(message, index, prompt, imageRef) {
+    try {
+        const url = await resolveImageDataUrl(imageRef);
+        setMessageImage(message, index, { url, prompt });
+        if (isStoredImageRef(imageRef)) {
+            $(`#chat img[data-img-ref="${imageRef}"]`).removeAttr('data-img-ref').attr('src', url);
+            releaseImages([imageRef]);
+        }
+    } catch (error) {
+        console.error('[img-router] Legacy image migration failed:', error);
+    }
+}
+
+// ================= 聊天消息处理 =================
+
+// 已处理的消息：mesid -> 处理时的 .mes 元素（消息被重新渲染为新元素时需重新处理）
+const processedMessages = new Map();
+const pendingMessages = new Set();
+let processTimer = null;
+const PROCESS_DEBOUNCE = 100;
+
+/**
+ * 处理消息中的占位符。mesIds 省略时处理全部已渲染的消息（切换聊天、开关内联生成等）。
+ */
+function processChatMessages(mesIds = null) {
+    const chat = getContext().chat;
+    if (!chat || chat.length === 0) return;
+
+    const elements = mesIds === null
+        ? $('#chat .mes')
+        : $(mesIds.map(mesId => `#chat .mes[mesid="${Number(mesId)}"]`).join(', '));
+    elements.each(function() {
+        processMessageElement($(this), chat);
+    });
+    // 处理时自身造成的 DOM 变化不再触发观察器
+    chatObserver?.takeRecords();
+}
+
+// 在防抖后处理这些消息，连续的渲染、编辑事件只处理一次
+function scheduleMessageProcessing(mesIds) {
+    for (const mesId of mesIds) {
+        if (!Number.isInteger(mesId) || mesId < 0) continue;
+        processedMessages.delete(mesId);
+        pendingMessages.add(mesId);
+    }
+    if (pendingMessages.size === 0) return;
+    clearTimeout(processTimer);
+    processTimer = setTimeout(() => {
+        const ids = [...pendingMessages].filter(mesId => !processedMessages.has(mesId));
+        pendingMessages.clear();
+        if (ids.length > 0) processChatMessages(ids);
+    }, PROCESS_DEBOUNCE);
+}
+
+// 处理尚未处理过的消息（加载更早的消息后）
+function scheduleUnprocessedMessages() {
+    const ids = $('#chat .mes').toArray()
+        .filter(element => processedMessages.get(Number(element.getAttribute('mesid'))) !== element)
+        .map(element => Number(element.getAttribute('mesid')));
+    scheduleMessageProcessing(ids);
+}
+
+// 聊天整体重新渲染（切换聊天、删除消息）后全部重新处理
+function resetProcessedMessages() {
+    processedMessages.clear();
+    pendingMessages.clear();
+    clearTimeout(processTimer);
+    processTimer = setTimeout(() => processChatMessages(), PROCESS_DEBOUNCE);
+}
+
+function processMessageElement(messageElement, chat) {
+    const textContainer = messageElement.find('.mes_text');
+    const mesId = Number(messageElement.attr('mesid'));
+    const message = chat[mesId];
+    const isEnabled = extension_settings[extensionName]?.enableInline ?? true;
+    processedMessages.set(mesId, messageElement[0]);
+
+    addIllustrateButton(messageElement);
+    if (!isEnabled) return;
+
+    const html = textContainer.html();
+    // 适配多种格式：image###...### 或 image###<br>...<br>###
+    // 使用更宽松的正则，匹配 image### 开头到 ### 结尾（中间可以有任何内容包括 <br>）
+    const hasPlaceholder = new RegExp(PLACEHOLDER_REGEX.source).test(html);
+    if (!hasPlaceholder) return;
+
+    // 占位符先替换为只含序号的空位，再填入 DOM 构建的元素，提示词和图片地址不进入 HTML 拼接
+    const { html: newHtml, placeholders } = splitPlaceholders(html, message?.mes);
+    textContainer.html(newHtml);
+    textContainer.find('.img-router-slot').each(function() {
+        const { index, prompt, options } = placeholders[Number($(this).attr('data-slot'))];
+        $(this).replaceWith(renderPlaceholder(message, index, prompt, options));
+    });
+    hydrateImageRefs(textContainer);
+    textContainer.find('[data-job-id]').each(function() {
+        const job = findJob($(this).attr('data-job-id'));
+        if (job) renderTriggerState($(this), job);
+    });
+}
+
+// 占位符对应的元素：已生成的图片块，或生成按钮
+function renderPlaceholder(message, index, prompt, options) {
+    // 消息中已保存该占位符的图片（prompt 被编辑过则视为未生成）
+    // 与原文中该位置的提示词比较，忽略空白差异；渲染后的文字可能被 Markdown 改动
+    const saved = getMessageImage(message, index);
+    const sourcePrompt = getSourcePlaceholderPrompts(message?.mes)[index] ?? normalizePlaceholderPrompt(prompt);
+    if (saved && normalizePlaceholderPrompt(saved.prompt) === sourcePrompt) {
+        return renderInlineEntry(saved, index);
+    }
+
+    // 兼容旧版缓存：命中后迁移到消息中
+    const legacyImage = !saved && message ? takeLegacyCachedImage(prompt) : null;
+    if (legacyImage) {
+        migrateLegacyImage(message, index, prompt, legacyImage);
+        return buildInlineResult(legacyImage, t('已生成图片'), { index });
+    }
+
+    // 尚未生成，显示生成按钮（该占位符的任务仍在队列中时沿用其状态）
+    const activeJob = jobs.find(job => job.target?.message === message && job.target.index === index && isJobActive(job));
+    const trigger = buildInlineTrigger(prompt, index, options);
+    if (activeJob) trigger.attr('data-job-id', activeJob.id);
+    return trigger;
+}
+
+// 内联图片块对应的消息与保存的条目
+function getInlineBlockTarget(block) {
+    const message = getContext().chat?.[Number(block.closest('.mes').attr('mesid'))];
+    const index = Number(block.attr('data-placeholder-index'));
+    return { message, index, entry: getMessageImage(message, index) };
+}
+
+function rerenderInlineBlock(block, entry, index) {
+    const replacement = renderInlineEntry(entry, index);
+    block.replaceWith(replacement);
+    hydrateImageRefs(replacement);
+}
+
+function selectInlineVariant(block, variantIndex) {
+    const { message, index, entry } = getInlineBlockTarget(block);
+    const url = entry?.variants?.[variantIndex];
+    if (!url) return;
+    const updated = { ...entry, url, selected: variantIndex };
+    setMessageImage(message, index, updated);
+    rerenderInlineBlock(block, updated, index);
+}
+
+function discardOtherVariants(block) {
+    const { message, index, entry } = getInlineBlockTarget(block);
+    if (!entry?.variants || entry.variants.length < 2) return;
+    if (!confirm(t('只保留当前变体，删除其余变体？'))) return;
+    const updated = { ...entry, variants: [entry.url], selected: 0 };
+    if (entry.seeds) updated.seeds = [getEntrySeed(entry)];
+    setMessageImage(message, index, updated);
+    rerenderInlineBlock(block, updated, index);
+}
+
+// 当前变体生成时使用的种子（旧版保存的图片没有记录）
+function getEntrySeed(entry) {
+    return entry?.seeds?.[entry.selected || 0] ?? null;
+}
+
+/**
+ * 同一提示词再生成，新图片追加为变体并设为当前，原图保留到用户清理变体为止。
+ * seed 为 'same' 时沿用当前变体的种子，为 'new' 时强制使用新的随机种子，省略时按占位符选项和面板设置。
+ */
+function requestMoreVariants(block, { seed } = {}) {
+    const { message, index, entry } = getInlineBlockTarget(block);
+    if (!entry) return toastr.warning(t('找不到该图片对应的消息'));
+
+    const target = { message, index };
+    const { overrides, referenceImages } = buildPlaceholderRequest(entry.options, target);
+    if (seed === 'same') {
+        const previous = getEntrySeed(entry);
+        if (previous === null) return toastr.warning(t('该图片没有记录种子，无法按相同种子重新生成'));
+        overrides.params.seed = previous;
+    } else if (seed === 'new') {
+        overrides.params.seed = randomSeed();
+    }
+    const job = enqueueGeneration(entry.prompt, { source: 'inline', target, overrides, referenceImages });
+    const status = $(`<div class="img-router-variant-status" data-job-id="${job.id}"></div>`);
+    block.append(status);
+    renderTriggerState(status, job);
+
+    job.promise.then(() => {
+        const current = getMessageImage(message, index) || entry;
+        const existing = current.variants?.length ? current.variants : [current.url];
+        const existingSeeds = existing.map((url, i) => current.seeds?.[i] ?? null);
+        const updated = {
+            ...current,
+            url: job.imageUrl,
+            variants: [...existing, ...job.imageUrls],
+            seeds: [...existingSeeds, ...job.imageUrls.map(() => job.overrides.params.seed)],
+            selected: existing.length,
+        };
+        setMessageImage(message, index, updated);
+
+        const mesId = getContext().chat?.indexOf(message);
+        const liveBlock = $(`#chat .mes[mesid="${mesId}"] .img-router-inline-result[data-placeholder-index="${index}"]`);
+        if (liveBlock.length) rerenderInlineBlock(liveBlock, updated, index);
+        toastr.success(t('已添加新变体'));
+    }).catch(() => {});
+}
+
+// 替换消息原文中第 index 个占位符的提示词，保留其选项；该位置的提示词与 previous 不符时不做修改
+function replacePlaceholderPrompt(text, index, previous, prompt) {
+    let current = 0;
+    return text.replace(PLACEHOLDER_REGEX, (match, options, original) => {
+        if (current++ !== index) return match;
+        if (normalizePlaceholderPrompt(original) !== normalizePlaceholderPrompt(previous)) return match;
+        return `image${options !== undefined ? `[${options}]` : ''}###${prompt}###`;
+    });
+}
+
+// 重新渲染消息正文并立即处理占位符，返回该占位符新的图片块或触发器
+function refreshInlineMessage(message, index) {
+    const mesId = getContext().chat?.indexOf(message);
+    if (mesId === undefined || mesId < 0) return $();
+    updateMessageBlock(mesId, message);
+    processChatMessages([mesId]);
+    return $(`#chat .mes[mesid="${mesId}"] [data-placeholder-index="${index}"]`).first();
+}
+
+// 修改提示词（同时写回消息原文）后重新生成，原图作为变体保留
+async function editInlinePrompt(block) {
+    const { message, index, entry } = getInlineBlockTarget(block);
+    if (!entry) return toastr.warning(t('找不到该图片对应的消息'));
+
+    const input = await callGenericPopup(t('修改提示词后将重新生成，原图保留为变体：'), POPUP_TYPE.INPUT, entry.prompt, { rows: 5, okButton: t('重新生成') });
+    if (typeof input !== 'string') return;
+    const prompt = input.trim();
+    if (!prompt) return toastr.warning(t('提示词不能为空'));
+
+    if (normalizePlaceholderPrompt(prompt) !== normalizePlaceholderPrompt(entry.prompt)) {
+        const text = replacePlaceholderPrompt(message.mes, index, entry.prompt, prompt);
+        if (text === message.mes) return toastr.error(t('在消息原文中找不到该占位符，无法修改提示词'));
+        message.mes = text;
+        // 与 SillyTavern 编辑消息一致，同步当前 swipe，否则切换 swipe 后会恢复旧文本
+        if (Array.isArray(message.swipes) && message.swipes[message.swipe_id] !== undefined) {
+            message.swipes[message.swipe_id] = text;
+        }
+        // 保存原文中归一化后的提示词，与渲染时的比较方式一致
+        setMessageImage(message, index, { ...entry, prompt: getSourcePlaceholderPrompts(text)[index] });
+        saveChatDebounced();
+        block = refreshInlineMessage(message, index);
+        if (!block.hasClass('img-router-inline-result')) return toastr.warning(t('提示词已修改，请点击生成按钮重新生成'));
+    }
+    requestMoreVariants(block);
+}
+
+async function useInlineImageAsReference(block) {
+    const url = getInlineBlockTarget(block).entry?.url || block.find('.img-router-inline-main img').attr('src');
+    if (!url) return;
+    try {
+        await addReferenceImage(await loadImageAsBlob(url));
+    } catch (error) {
+        console.error('[img-router] Use as reference failed:', error);
+        toastr.error(t('无法添加为参考图: {error}', { error: error.message }));
+    }
+}
+
+// 移除图片及全部变体，占位符恢复为生成按钮
+function removeInlineImage(block) {
+    const { message, index, entry } = getInlineBlockTarget(block);
+    if (!entry) return toastr.warning(t('找不到该图片对应的消息'));
+    const count = entry.variants?.length || 1;
+    if (!confirm(count > 1 ? t('移除该图片及其 {count} 个变体？', { count }) : t('移除该图片？'))) return;
+
+    delete message.extra.img_router.images[index];
+    saveChatDebounced();
+    refreshInlineMessage(message, index);
+}
+
+// 根据任务状态刷新内联触发器
+function renderTriggerState(trigger, job) {
+    // 图片块内"再生成变体"的进度提示
+    if (trigger.hasClass('img-router-variant-status')) {
+        if (isJobActive(job)) {
+            const running = job.status === 'running';
+            const icon = running ? 'fa-spinner fa-spin' : 'fa-clock';
+            trigger.html(`<i class="fa-solid ${icon}"></i> ${t('生成变体中...')} ${running ? elapsedHtml(job) : ''} <i class="fa-solid fa-xmark img-router-job-cancel" title="${t('取消')}"></i>${running ? '<span class="img-router-progress"></span>' : ''}`);
+            if (running) renderJobProgress(trigger.find('.img-router-progress'), job);
+        } else {
+            trigger.remove();
+        }
+        return;
+    }
+
+    trigger.removeClass('img-router-inline-trigger img-router-loading img-router-queued');
+    switch (job.status) {
+        case 'queued':
+            trigger.addClass('img-router-loading img-router-queued');
+            trigger.html(`<i class="fa-solid fa-clock"></i> ${t('排队中...')} <i class="fa-solid fa-xmark img-router-job-cancel" title="${t('取消')}"></i>`);
+            break;
+        case 'running': {
+            const retryText = job.retry ? ` ${t('(重试 {attempt}/{max})', { attempt: job.retry.attempt, max: job.retry.maxRetries })}` : '';
+            trigger.addClass('img-router-loading');
+            trigger.html(`<i class="fa-solid fa-spinner fa-spin"></i> ${t('生成中...')}${retryText} ${elapsedHtml(job)} <i class="fa-solid fa-xmark img-router-job-cancel" title="${t('取消')}"></i><span class="img-router-progress"></span>`);
+            renderJobProgress(trigger.find('.img-router-progress'), job);
+            break;
+        }
+        case 'done': {
+            const result = buildInlineResult(job.imageUrl, job.prompt, {
+                variants: job.imageUrls,
+                index: job.target ? job.target.index : null,
+            });
+            trigger.replaceWith(result);
+            hydrateImageRefs(result);
+            break;
+        }
+        case 'failed':
+            trigger.removeAttr('data-job-id').addClass('img-router-inline-trigger');
+            trigger.html(t('[生成失败-点击重试]'));
+            break;
+        case 'cancelled':
+            trigger.removeAttr('data-job-id').addClass('img-router-inline-trigger');
+            trigger.html(t('[生成图片]'));
+            break;
+    }
+}
+
+/**
+ * 为占位符触发器入队生成，完成后保存到消息。返回 job；触发器已在排队或生成中时返回 null。
+ */
+function startInlineGeneration(trigger) {
+    // 排队或生成中的触发器不响应点击（取消按钮单独处理）
+    if (!trigger.hasClass('img-router-inline-trigger')) return null;
+
+    const prompt = trigger.attr('data-prompt');
+    const options = trigger.attr('data-options') || '';
+    const mesId = Number(trigger.closest('.mes').attr('mesid'));
+    // 保存消息对象本身，生成期间消息序号变化也不会写错位置
+    const target = {
+        message: getContext().chat?.[mesId],
+        index: Number(trigger.attr('data-placeholder-index')) || 0,
+    };
+    const { overrides, referenceImages } = buildPlaceholderRequest(options, target);
+    const job = enqueueGeneration(prompt, { source: 'inline', target, overrides, referenceImages });
+    trigger.attr('data-job-id', job.id);
+    renderTriggerState(trigger, job);
+
+    job.promise.then((imageUrl) => {
+        // 随消息保存，刷新后可恢复；多张图片作为变体
+        const entry = {
+            url: imageUrl,
+            prompt,
+            variants: job.imageUrls,
+            seeds: job.imageUrls.map(() => job.overrides.params.seed),
+            selected: 0,
+        };
+        if (options) entry.options = options;
+        setMessageImage(target.message, target.index, entry);
+        toastr.success(t('生成成功，已保存'));
+    }).catch(() => {});
+    return job;
+}
+
+// ================= 自动生成 =================
+
+const CHAT_AUTO_KEY = 'img_router_auto';
+
+// 当前聊天是否自动生成：聊天中的设置优先，未设置时跟随全局
+function isAutoGenerateEnabled() {
+    const context = getContext();
+    const chatValue = context.chatId ? context.chatMetadata?.[CHAT_AUTO_KEY] : undefined;
+    return typeof chatValue === 'boolean' ? chatValue : !!extension_settings[extensionName].autoGenerate;
+}
+
+// value 为 null 时恢复跟随全局
+function setChatAutoGenerate(value) {
+    const context = getContext();
+    if (!context.chatId) return false;
+    if (value === null) delete context.chatMetadata[CHAT_AUTO_KEY];
+    else context.chatMetadata[CHAT_AUTO_KEY] = value;
+    saveMetadataDebounced();
+    renderAutoGenerateChatOption();
+    return true;
+}
+
+function renderAutoGenerateChatOption() {
+    const select = $('#img-router-auto-chat');
+    if (!select.length) return;
+    const context = getContext();
+    const value = context.chatId ? context.chatMetadata?.[CHAT_AUTO_KEY] : undefined;
+    select.val(typeof value === 'boolean' ? (value ? 'on' : 'off') : 'inherit').prop('disabled', !context.chatId);
+}
+
+/**
+ * 新收到的消息中的占位符自动入队，超出上限的保持可点击。
+ * 只由 MESSAGE_RECEIVED 触发，打开聊天时已有的消息不会自动生成。
+ * existing 为生成前该消息各版本文本的占位符提示词（见 onGenerationStarted），
+ * 同一序号、同一提示词的占位符在生成前就已存在，不自动生成。
+ */
+function autoGenerateForMessage(mesId, existing = []) {
+    const settings = extension_settings[extensionName];
+    if (!(settings.enableInline ?? true) || !isAutoGenerateEnabled()) return;
+
+    const messageElement = $(`#chat .mes[mesid="${mesId}"]`);
+    const limit = Math.max(0, parseInt(settings.autoGenerateMax) || 0);
+    const isExisting = trigger => {
+        const index = Number(trigger.getAttribute('data-placeholder-index'));
+        const prompt = normalizePlaceholderPrompt(trigger.getAttribute('data-prompt') || '');
+        return existing.some(prompts => prompts[index] === prompt);
+    };
+    const started = messageElement.find('.img-router-inline-trigger').toArray()
+        .filter(trigger => !isExisting(trigger))
+        .slice(0, limit)
+        .map(trigger => startInlineGeneration($(trigger)))
+        .filter(Boolean);
+    if (started.length === 0) return;
+
+    // 消息上方的提示，全部结束后移除
+    messageElement.find('.img-router-auto-indicator').remove();
+    const indicator = $('<div class="img-router-auto-indicator"></div>');
+    messageElement.find('.mes_text').before(indicator);
+    let finished = 0;
+    const render = () => indicator.html(`<i class="fa-solid fa-wand-magic-sparkles fa-fade"></i> ${t('自动生成中 ({done}/{total})', { done: finished, total: started.length })}`);
+    render();
+    started.forEach(job => job.promise.catch(() => {}).finally(() => {
+        finished++;
+        if (finished < started.length) render();
+        else indicator.remove();
+    }));
+}
+
+// 生成开始时最后一条消息中已有的占位符：续写、swipe 和重新生成会在同一条消息上收到 MESSAGE_RECEIVED
+let generationSnapshot = null;
+
+function onGenerationStarted(type, options, dryRun) {
+    if (dryRun) return;
+    const chat = getContext().chat || [];
+    const message = chat[chat.length - 1];
+    generationSnapshot = message ? {
+        mesId: chat.length - 1,
+        prompts: [message.mes, ...(message.swipes || [])].map(getSourcePlaceholderPrompts),
+    } : null;
+}
+
+function onMessageReceived(mesId, type) {
+    const existing = generationSnapshot?.mesId === mesId ? generationSnapshot.prompts : [];
+    generationSnapshot = null;
+    // 新建聊天时的开场白不算新消息
+    if (type === 'first_message') return;
+    setTimeout(() => {
+        processChatMessages([mesId]);
+        autoGenerateForMessage(mesId, existing);
+    }, 200);
+}
+
+// 只重新处理事件涉及的消息
+function registerChatEvents() {
+    const messageEvents = [
+        event_types.CHARACTER_MESSAGE_RENDERED,
+        event_types.USER_MESSAGE_RENDERED,
+        event_types.MESSAGE_EDITED,
+        event_types.MESSAGE_UPDATED,
+        event_types.MESSAGE_SWIPED,
+    ];
+    messageEvents.filter(Boolean).forEach(type => {
+        eventSource.on(type, (mesId) => scheduleMessageProcessing([Number(mesId)]));
+    });
+    eventSource.on(event_types.CHAT_CHANGED, resetProcessedMessages);
+    if (event_types.MESSAGE_DELETED) eventSource.on(event_types.MESSAGE_DELETED, resetProcessedMessages);
+    if (event_types.MORE_MESSAGES_LOADED) eventSource.on(event_types.MORE_MESSAGES_LOADED, scheduleUnprocessedMessages);
+}
+
+// 扩展自身插入的元素（或其内部）
+function isOwnElement(element) {
+    return !!element.closest?.('[class*="img-router-"]');
+}
+
+function startChatObserver() {
+    const chatContainer = document.getElementById('chat');
+    if (!chatContainer) {
+        setTimeout(startChatObserver, 1000);
+        return;
+    }
+    if (chatObserver) chatObserver.disconnect();
+    // 兜底：事件之外渲染的新消息，或其他扩展改写了消息正文
+    chatObserver = new MutationObserver((mutations) => {
+        const mesIds = new Set();
+        for (const mutation of mutations) {
+            for (const node of mutation.addedNodes) {
+                if (node.nodeType === Node.ELEMENT_NODE) {
+                    const added = node.matches('.mes') ? [node] : [...node.querySelectorAll('.mes')];
+                    added.filter(mes => processedMessages.get(Number(mes.getAttribute('mesid'))) !== mes)
+                        .forEach(mes => mesIds.add(Number(mes.getAttribute('mesid'))));
+                    if (added.length > 0 || isOwnElement(node)) continue;
+                }
+                // 只关心消息正文的变化，忽略按钮、计时等界面更新和扩展自身插入的元素
+                const target = mutation.target;
+                if (!target.closest?.('.mes_text') || isOwnElement(target)) continue;
+                mesIds.add(Number(target.closest('.mes').getAttribute('mesid')));
+            }
+        }
+        if (mesIds.size > 0) scheduleMessageProcessing([...mesIds]);
+    });
+    chatObserver.observe(chatContainer, { childList: true, subtree: true });
+    console.log('[img-router] Chat Observer started.');
+}
+
+// ================= 场景插图 (由主 LLM 生成提示词) =================
+
+// 取截至 endIndex 的最近 N 条对话，连同角色卡整理为 LLM 输入
+function buildSceneContext(endIndex) {
+    const context = getContext();
+    const settings = extension_settings[extensionName];
+    const count = Math.max(1, parseInt(settings.sceneMessageCount) || 1);
+    const chat = (context.chat || []).slice(0, endIndex + 1).filter(message => !message.is_system && message.mes);
+    const lines = chat.slice(-count).map(message => `${message.name}: ${message.mes.replace(PLACEHOLDER_REGEX, '').trim()}`);
+
+    const parts = [];
+    const character = context.characterId !== undefined ? context.characters?.[context.characterId] : null;
+    if (character) {
+        parts.push(t('[角色: {name}]', { name: character.name }));
+        if (character.description) parts.push(character.description);
+        if (character.scenario) parts.push(t('场景: {scenario}', { scenario: character.scenario }));
+        parts.push('');
+    }
+    parts.push(t('[最近对话]'), ...lines, '', t('[图片提示词]'));
+    return parts.join('\n');
+}
+
+// 用户未修改时使用当前界面语言的默认指令（旧版保存的中文默认指令也视为未修改）
+function getSceneInstruction() {
+    const value = String(extension_settings[extensionName].sceneInstruction || '').trim();
+    return !value || value === DEFAULT_SCENE_INSTRUCTION ? t(DEFAULT_SCENE_INSTRUCTION) : value;
+}
+
+/**
+ * generateRaw 在较新的 SillyTavern 中改为对象参数 generateRaw({ prompt, systemPrompt })，
+ * 旧版为位置参数 generateRaw(prompt, api, instructOverride, quietToLoud, systemPrompt)。
+ * 对象参数版本的形参带默认值，length 为 0，以此区分。
+ */
+function generateRawCompat(context, prompt, systemPrompt) {
+    if (context.generateRaw.length > 0) return context.generateRaw(prompt, null, false, false, systemPrompt);
+    return context.generateRaw({ prompt, systemPrompt });
+}
+
+/**
+ * 以静默生成的方式请主 LLM 把当前场景总结为图片提示词。
+ * endIndex 为截止的消息序号，省略时使用整个聊天。
+ */
+async function generateScenePrompt(endIndex) {
+    const context = getContext();
+    if (!context.chat || context.chat.length === 0) throw new Error(t('当前没有聊天内容'));
 
-        statusEl.html(`<span style="color:#f44336">错误: ${response.status}</span>`);
+    const lastIndex = Number.isInteger(endIndex) ? endIndex : context.chat.length - 1;
+    const result = await generateRawCompat(context, buildSceneContext(lastIndex), getSceneInstruction());
+    const prompt = String(result || '')
+        .replace(/image(\[[^\]]*\])?###|###/g, '')
+        .replace(/^\s*["'“”]+|["'“”]+\s*$/g, '')
+        .trim();
+    if (!prompt) throw new Error(t('LLM 未返回有效的提示词'));
+    return prompt;
+}
+
+// 消息按钮：生成提示词 -> 用户确认/修改 -> 入队生成 -> 作为新消息插入聊天
+async function illustrateMessage(mesId) {
+    let prompt;
+    try {
+        toastr.info(t('正在根据聊天生成场景描述...'));
+        prompt = await generateScenePrompt(mesId);
     } catch (error) {
-        statusEl.html('<span style="color:#f44336">连接失败</span>');
+        console.error('[img-router] Scene prompt failed:', error);
+        return toastr.error(t('场景描述生成失败: {error}', { error: error.message }));
     }
-}
 
-function buildMessages(prompt, images) {
-    const content = [];
-    if (prompt) content.push({ type: 'text', text: prompt });
-    if (images && images.length > 0) {
-        images.forEach(imgData => content.push({ type: 'image_url', image_url: { url: imgData } }));
+    const edited = await callGenericPopup(`<h3>${t('确认图片提示词')}</h3><small>${t('可在此修改后再生成')}</small>`, POPUP_TYPE.INPUT, prompt, { rows: 6, okButton: t('生成图片'), cancelButton: t('取消') });
+    if (!edited || !String(edited).trim()) return;
+
+    const finalPrompt = String(edited).trim();
+    const job = enqueueGeneration(finalPrompt, { source: 'scene' });
+    try {
+        const imageUrl = await job.promise;
+        await insertImageMessage(imageUrl, finalPrompt);
+        toastr.success(t('场景插图已生成'));
+    } catch {
+        // 失败提示已由任务队列给出
     }
-    return [{ role: 'user', content: content.length === 1 && content[0].type === 'text' ? content[0].text : content }];
 }
 
-async function generateImage(prompt, referenceImages = null) {
-    if (isGenerating) {
-        toastr.warning('正在生成中，请稍候...');
-        return null;
+// 弹窗按钮：把生成的提示词填入快速生成输入框，供用户修改后生成
+async function fillScenePrompt() {
+    const button = $('#img-router-illustrate-scene');
+    button.prop('disabled', true);
+    try {
+        const prompt = await generateScenePrompt();
+        $('#img-router-prompt').val(prompt).trigger('focus');
+        toastr.success(t('已生成场景描述，确认后点击生成图片'));
+    } catch (error) {
+        console.error('[img-router] Scene prompt failed:', error);
+        toastr.error(t('场景描述生成失败: {error}', { error: error.message }));
+    } finally {
+        button.prop('disabled', false);
     }
+}
 
-    const settings = extension_settings[extensionName];
-    const apiUrl = normalizeApiUrl(settings.apiUrl);
-    const apiKey = settings.apiKey;
+function addIllustrateButton(messageElement) {
+    const buttons = messageElement.find('.extraMesButtons');
+    if (!buttons.length || buttons.find('.img-router-illustrate').length) return;
+    buttons.prepend(`<div title="${t('为此处场景生成插图')}" class="mes_button img-router-illustrate fa-solid fa-panorama" tabindex="0"></div>`);
+}
 
-    if (!apiUrl || !apiKey) {
-        toastr.error('请先配置 API 地址和访问令牌');
-        return null;
-    }
+// ================= 导入 / 导出 =================
 
-    isGenerating = true;
+const BUNDLE_FORMAT = 'img-router-bundle';
+const BUNDLE_SCHEMA_VERSION = 1;
+// 仅属于本机的状态，不参与导入导出
+const BUNDLE_EXCLUDED_KEYS = ['modelCache', 'imageStoreMigrated', 'promptImageCache', 'fabPosition'];
 
-    let finalPrompt = prompt;
-    if (settings.promptPrefix && settings.promptPrefix.trim() !== '') {
-        finalPrompt = `${settings.promptPrefix}, ${prompt}`;
-    }
+/**
+ * 旧版本导出的迁移，键为来源版本，返回升级一级后的数据包。
+ * 版本 0 指直接复制的 extension_settings['img-router'] 对象（图片为内联 data URL）。
+ */
+const BUNDLE_MIGRATIONS = {
+    0: bundle => ({ format: BUNDLE_FORMAT, schemaVersion: 1, settings: bundle.settings || bundle, images: {} }),
+};
 
-    const images = referenceImages || settings.referenceImages || [];
-    const messages = buildMessages(finalPrompt, images);
+const isPlainObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+const hasStringFields = (object, keys) => keys.every(key => object[key] === undefined || typeof object[key] === 'string');
 
-    const requestBody = {
-        model: settings.model || undefined,
-        messages: messages,
-        stream: settings.stream,
-        size: settings.size || undefined,
-    };
+// 数组元素或对象值的形状校验，不合法的项在导入时丢弃
+const BUNDLE_ITEM_VALIDATORS = {
+    profiles: profile => isPlainObject(profile) && typeof profile.id === 'string' && profile.id !== ''
+        && typeof profile.name === 'string' && hasStringFields(profile, ['apiUrl', 'apiKey', 'model', 'size', 'requestMode', 'responseFormat']),
+    generatedHistory: item => isPlainObject(item) && typeof item.url === 'string'
+        && (item.variants === undefined || isStringList(item.variants)) && hasStringFields(item, ['id', 'prompt', 'model']),
+    referenceImages: ref => typeof ref === 'string',
+    characterPresets: preset => isPlainObject(preset) && (preset.referenceImages === undefined || isStringList(preset.referenceImages)),
+    modelReferenceLimits: limit => Number.isFinite(limit),
+};
+
+function sanitizeBundleField(key, value) {
+    const validate = BUNDLE_ITEM_VALIDATORS[key];
+    if (!validate) return value;
+    const sanitized = Array.isArray(value)
+        ? value.filter(item => validate(item))
+        : Object.fromEntries(Object.entries(value).filter(([, item]) => validate(item)));
+    const dropped = Object.keys(value).length - Object.keys(sanitized).length;
+    if (dropped) console.warn(`[img-router] Import ignored ${dropped} invalid item(s) in "${key}"`);
+    return sanitized;
+}
+
+function collectBundleImageRefs(settings) {
+    const refs = [
+        settings.maskImage,
+        ...(settings.referenceImages || []),
+        ...(settings.generatedHistory || []).flatMap(getHistoryRefs),
+        ...Object.values(settings.characterPresets || {}).flatMap(preset => preset.referenceImages || []),
+    ];
+    return [...new Set(refs.filter(isStoredImageRef))];
+}
 
-    Object.keys(requestBody).forEach(key => requestBody[key] === undefined && delete requestBody[key]);
+async function buildExportBundle({ includeHistory = false, includeReferences = false, includeToken = false } = {}) {
+    const settings = structuredClone(extension_settings[extensionName]);
+    BUNDLE_EXCLUDED_KEYS.forEach(key => delete settings[key]);
+    if (!includeHistory) delete settings.generatedHistory;
+    if (!includeReferences) {
+        delete settings.referenceImages;
+        delete settings.maskImage;
+        Object.values(settings.characterPresets || {}).forEach(preset => delete preset.referenceImages);
+    }
+    if (!includeToken) {
+        delete settings.apiKey;
+        (settings.profiles || []).forEach(profile => delete profile.apiKey);
+    }
+
+    // 本地存储中的图片随数据包导出
+    const images = {};
+    for (const ref of collectBundleImageRefs(settings)) {
+        try {
+            images[ref] = await resolveImageDataUrl(ref);
+        } catch (error) {
+            console.warn('[img-router] Export skipped missing image:', ref, error);
+        }
+    }
+    return { format: BUNDLE_FORMAT, schemaVersion: BUNDLE_SCHEMA_VERSION, exportedAt: new Date().toISOString(), settings, images };
+}
 
+async function exportBundle() {
     try {
-        console.log('[img-router] Sending Request:', requestBody);
-        const response = await fetch(`${apiUrl}/v1/chat/completions`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${apiKey}`,
-            },
-            body: JSON.stringify(requestBody),
+        const bundle = await buildExportBundle({
+            includeHistory: $('#img-router-export-history').prop('checked'),
+            includeReferences: $('#img-router-export-refs').prop('checked'),
+            includeToken: $('#img-router-export-token').prop('checked'),
         });
+        const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = `img-router-${new Date().toISOString().slice(0, 10)}.json`;
+        a.click();
+        setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+        toastr.success(t('配置已导出'));
+    } catch (error) {
+        console.error('[img-router] Export failed:', error);
+        toastr.error(t('导出失败: {error}', { error: error.message }));
+    }
+}
 
-        if (!response.ok) {
-            let message = '';
-            try {
-                const data = await response.json();
-                message = data?.error?.message || data?.error || JSON.stringify(data);
-            } catch {
-                message = await response.text();
-            }
-            throw new Error(`API Error ${response.status}: ${message}`);
-        }
-
-        let content = '';
-        
-        if (settings.stream) {
-            const reader = response.body.getReader();
-            const decoder = new TextDecoder();
-            let rawBuffer = '';
-            let lineBuffer = '';
-
-            const appendDelta = (dataLine) => {
-                if (!dataLine || dataLine === '[DONE]') return;
-                try {
-                    const json = JSON.parse(dataLine);
-                    const delta = json.choices?.[0]?.delta?.content;
-                    if (delta) content += delta;
-                } catch (e) {}
-            };
+// 校验并迁移到当前版本，不合法时抛出异常
+function migrateBundle(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error(t('文件内容不是有效的配置'));
+    let bundle = data;
+    if (bundle.format === undefined) {
+        bundle = { schemaVersion: 0, settings: data };
+    } else if (bundle.format !== BUNDLE_FORMAT) {
+        throw new Error(t('不是 img-router 的导出文件'));
+    }
 
-            while (true) {
-                const { done, value } = await reader.read();
-                if (done) break;
-                
-                const chunk = decoder.decode(value, { stream: true });
-                rawBuffer += chunk;
-                lineBuffer += chunk;
-
-                let newlineIndex;
-                while ((newlineIndex = lineBuffer.indexOf('\n')) !== -1) {
-                    const line = lineBuffer.slice(0, newlineIndex).trim();
-                    lineBuffer = lineBuffer.slice(newlineIndex + 1);
-
-                    if (!line.startsWith('data:')) continue;
-                    const data = line.replace(/^data:\s*/, '');
-                    appendDelta(data);
-                }
-            }
+    let version = Number(bundle.schemaVersion);
+    if (!Number.isInteger(version) || version < 0) throw new Error(t('无效的版本号'));
+    if (version > BUNDLE_SCHEMA_VERSION) throw new Error(t('文件来自更新的版本 (v{version})，请先升级扩展', { version }));
+    while (version < BUNDLE_SCHEMA_VERSION) {
+        bundle = BUNDLE_MIGRATIONS[version](bundle);
+        version = bundle.schemaVersion;
+    }
 
-            const remaining = lineBuffer.trim();
-            if (remaining.startsWith('data:')) {
-                const data = remaining.replace(/^data:\s*/, '');
-                appendDelta(data);
-            }
-            
-            // 如果流解析为空，尝试解析整个 Buffer
-            if (!content && rawBuffer.length > 0) {
-                console.log('[img-router] Stream parsing empty, checking raw buffer...');
-                const fallbackLines = rawBuffer.split('\n');
-                for (const line of fallbackLines) {
-                    const trimmed = line.trim();
-                    if (!trimmed.startsWith('data:')) continue;
-                    const data = trimmed.replace(/^data:\s*/, '');
-                    appendDelta(data);
-                }
+    if (!bundle.settings || typeof bundle.settings !== 'object') throw new Error(t('缺少设置数据'));
+    // 只接受已知且类型一致的字段
+    const settings = {};
+    for (const [key, value] of Object.entries(bundle.settings)) {
+        if (!(key in defaultSettings) || BUNDLE_EXCLUDED_KEYS.includes(key)) continue;
+        const expected = defaultSettings[key];
+        const valid = Array.isArray(expected) ? Array.isArray(value)
+            : expected === null ? true
+                : isPlainObject(expected) ? isPlainObject(value)
+                    : typeof value === typeof expected;
+        if (valid) settings[key] = sanitizeBundleField(key, value);
+        else console.warn(`[img-router] Import ignored invalid field "${key}"`);
+    }
+    return { settings, images: bundle.images && typeof bundle.images === 'object' ? bundle.images : {} };
+}
 
-                if (!content) {
-                    let parsedError = null;
-                    try {
-                        const json = JSON.parse(rawBuffer);
-                        if (json?.error) {
-                            parsedError = json.error.message || json.error.error || JSON.stringify(json.error);
-                        } else {
-                            content = json.choices?.[0]?.message?.content || 
-                                      json.b64_json || 
-                                      (json.images && json.images[0]) || 
-                                      (json.data && (json.data[0]?.b64_json || json.data[0]?.url)) ||
-                                      JSON.stringify(json);
-                        }
-                    } catch (e) {
-                        content = rawBuffer.trim();
-                    }
-                    if (parsedError) throw new Error(parsedError);
-                }
-            }
-        } else {
-            const data = await response.json();
-            content = data.choices?.[0]?.message?.content || 
-                      data.b64_json || 
-                      (data.images && data.images[0]) || 
-                      '';
+/**
+ * 数据包中的图片写入本地存储，返回旧引用到新引用的映射。
+ * 版本 0 的内联 data URL 也在这里转存。
+ */
+async function importBundleImages(settings, images) {
+    const presetRefs = new Set(Object.values(settings.characterPresets || {}).flatMap(preset => preset.referenceImages || []));
+    const mapping = new Map();
+    const refs = [
+        settings.maskImage,
+        ...(settings.referenceImages || []),
+        ...(settings.generatedHistory || []).flatMap(getHistoryRefs),
+        ...presetRefs,
+    ].filter(Boolean);
+    for (const ref of new Set(refs)) {
+        const source = isStoredImageRef(ref) ? images[ref] : ref;
+        if (typeof source !== 'string' || !source.startsWith('data:')) continue;
+        try {
+            mapping.set(ref, await storeImage(source, { pinned: presetRefs.has(ref) }));
+        } catch (error) {
+            console.warn('[img-router] Import image failed:', error);
         }
+    }
+    return mapping;
+}
+
+function remapBundleRefs(settings, mapping) {
+    // 找不到图片数据的本地引用无法使用，直接丢弃
+    const remap = ref => (isStoredImageRef(ref) ? mapping.get(ref) : mapping.get(ref) || ref);
+    const remapList = list => (list || []).map(remap).filter(Boolean);
+    if (settings.referenceImages) settings.referenceImages = remapList(settings.referenceImages);
+    if (settings.maskImage) settings.maskImage = remap(settings.maskImage) || '';
+    Object.values(settings.characterPresets || {}).forEach(preset => {
+        if (preset.referenceImages) preset.referenceImages = remapList(preset.referenceImages);
+    });
+    if (settings.generatedHistory) {
+        settings.generatedHistory = settings.generatedHistory.filter(item => item && item.url).map(item => {
+            const variants = item.variants ? remapList(item.variants) : undefined;
+            return { ...item, url: remap(item.url) || variants?.[0], variants: variants?.length > 1 ? variants : undefined };
+        }).filter(item => item.url);
+    }
+}
 
-        console.log('[img-router] Final Content Length:', content.length);
+/**
+ * 合并：连接配置按 id、角色预设按角色、历史按 id 合并，其余设置使用导入的值；
+ * 替换：导入的字段整体覆盖。两种方式都保留本机已有的访问令牌（导入文件未包含时）。
+ * 在设置的副本上完成导入，全部成功后才替换当前设置，失败时原设置保持不变。
+ */
+function applyImportedSettings(imported, mode) {
+    const current = extension_settings[extensionName];
+    const previousRefs = collectBundleImageRefs(current);
+    const settings = structuredClone(current);
+    const localKeys = new Map((settings.profiles || []).map(profile => [profile.id, profile.apiKey]));
 
-        if (content && images.length > 0) {
-            if (!settings.fixReferenceImages) {
-                clearAllImages();
+    for (const [key, value] of Object.entries(imported)) {
+        if (mode !== 'merge') {
+            settings[key] = value;
+            continue;
+        }
+        switch (key) {
+            case 'profiles': {
+                const profiles = [...(settings.profiles || [])];
+                value.forEach(profile => {
+                    const index = profiles.findIndex(item => item.id === profile.id);
+                    if (index === -1) profiles.push(profile);
+                    else profiles[index] = { ...profiles[index], ...profile };
+                });
+                settings.profiles = profiles;
+                break;
+            }
+            case 'characterPresets':
+                settings.characterPresets = { ...settings.characterPresets, ...value };
+                break;
+            case 'generatedHistory': {
+                const ids = new Set((settings.generatedHistory || []).map(item => item.id));
+                settings.generatedHistory = [...(settings.generatedHistory || []), ...value.filter(item => !item.id || !ids.has(item.id))]
+                    .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+                break;
             }
+            case 'referenceImages':
+                settings.referenceImages = [...new Set([...(settings.referenceImages || []), ...value])];
+                break;
+            default:
+                settings[key] = value;
         }
+    }
 
-        return content;
-    } catch (error) {
-        console.error('[img-router] Error:', error);
-        toastr.error(`生成失败: ${error.message}`);
-        return null;
+    (settings.profiles || []).forEach(profile => {
+        if (profile.apiKey === undefined) profile.apiKey = localKeys.get(profile.id) || '';
+    });
+
+    // 补全与截断也作用在副本上，成功后再写回原对象（进行中的任务仍持有原对象）
+    extension_settings[extensionName] = settings;
+    let truncated;
+    try {
+        ensureSettings();
+        ensureProfiles();
+        ensureHistoryIds();
+        truncated = truncateHistory(settings.generatedHistory);
     } finally {
-        isGenerating = false;
+        extension_settings[extensionName] = current;
     }
-}
+    Object.keys(current).forEach(key => delete current[key]);
+    Object.assign(current, settings);
+    switchProfile(current.activeProfileId);
+    saveSettingsDebounced();
 
-// === 核心修复：Base64 自动补全 ===
-function extractImageFromContent(content) {
-    if (!content) return null;
-    
-    // 1. Markdown
-    const mdMatch = content.match(/!\[.*?\]\((.*?)\)/);
-    if (mdMatch) return mdMatch[1];
-    
-    // 2. 纯 URL
-    const urlMatch = content.match(/(https?:\/\/[^\s"']+\.(?:png|jpg|jpeg|webp|gif|bmp))/i);
-    if (urlMatch) return urlMatch[0];
-    
-    // 3. 标准 Base64 (带前缀)
-    const base64Match = content.match(/(data:image\/[^;]+;base64,[^"\s]+)/);
-    if (base64Match) return base64Match[1];
-    
-    // 4. Raw Base64 (无前缀) - 关键修复
-    // 移除空白字符
-    const cleanContent = content.trim().replace(/\s/g, '');
-    // 简单的 Base64 检测：长度足够长，且只包含 Base64 字符
-    if (cleanContent.length > 100 && /^[A-Za-z0-9+/=]+$/.test(cleanContent)) {
-        console.log('[img-router] Detected Raw Base64, adding prefix...');
-        return `data:image/png;base64,${cleanContent}`;
-    }
-    
-    // 5. 兜底：如果字符串本身就是一个 URL
-    const trimmed = content.trim();
-    if (trimmed.startsWith('http://') || trimmed.startsWith('https://')) {
-        return trimmed.replace(/['"()]/g, '');
-    }
-    
-    return null;
+    // 被替换掉的本地图片不再被引用时删除
+    releaseImages([...previousRefs, ...truncated]);
 }
 
-// ================= 聊天内联交互逻辑 =================
+async function importBundle(file) {
+    let bundle;
+    try {
+        bundle = migrateBundle(JSON.parse(await file.text()));
+    } catch (error) {
+        toastr.error(t('导入失败: {error}', { error: error.message }));
+        return;
+    }
 
-// 生成 prompt 的缓存 key（去除空白和特殊字符，取前100字符）
-function getPromptCacheKey(prompt) {
-    return prompt.replace(/<br\s*\/?>/gi, '\n').replace(/&[^;]+;/g, '').replace(/\s+/g, ' ').trim().substring(0, 100);
-}
+    const mode = $('#img-router-import-mode').val() === 'replace' ? 'replace' : 'merge';
+    if (mode === 'replace' && !confirm(t('替换模式会覆盖当前设置中对应的内容，确定继续吗？'))) return;
 
-// 保存 prompt -> imageUrl 到缓存
-function cachePromptImage(prompt, imageUrl) {
-    const cache = extension_settings[extensionName].promptImageCache || {};
-    const key = getPromptCacheKey(prompt);
-    cache[key] = imageUrl;
-    // 限制缓存大小，最多保存 50 条
-    const keys = Object.keys(cache);
-    if (keys.length > 50) {
-        delete cache[keys[0]];
+    let mapping = new Map();
+    try {
+        mapping = await importBundleImages(bundle.settings, bundle.images);
+        remapBundleRefs(bundle.settings, mapping);
+        applyImportedSettings(bundle.settings, mode);
+        loadSettings();
+        processChatMessages();
+        toastr.success(t('已导入 {count} 项设置', { count: Object.keys(bundle.settings).length }));
+    } catch (error) {
+        console.error('[img-router] Import failed:', error);
+        toastr.error(t('导入失败: {error}', { error: error.message }));
+        // 设置未改动，已转存的图片没有被引用
+        releaseImages([...mapping.values()]);
     }
-    saveSetting('promptImageCache', cache);
 }
 
-// 从缓存获取图片
-function getCachedImage(prompt) {
-    const cache = extension_settings[extensionName].promptImageCache || {};
-    const key = getPromptCacheKey(prompt);
-    return cache[key] || null;
+// ================= 斜杠命令 =================
+
+// 将生成的图片作为一条消息插入当前聊天
+async function insertImageMessage(imageUrl, prompt) {
+    const context = getContext();
+    if (!context.chat) return;
+    const message = {
+        name: context.name2 || 'Image Router',
+        is_user: false,
+        is_system: true,
+        send_date: getMessageTimeStamp(),
+        mes: '',
+        extra: {
+            image: imageUrl,
+            title: prompt,
+        },
+    };
+    context.chat.push(message);
+    context.addOneMessage(message);
+    await context.saveChat();
 }
 
-function processChatMessages() {
-    const isEnabled = extension_settings[extensionName]?.enableInline ?? true;
-    const chat = getContext().chat;
-    if (!chat || chat.length === 0) return;
+function parseBooleanArg(value, fallback = false) {
+    if (value === undefined || value === null || value === '') return fallback;
+    return ['true', 'on', '1', 'yes'].includes(String(value).trim().toLowerCase());
+}
 
-    $('#chat .mes').each(function() {
-        const messageElement = $(this);
-        const textContainer = messageElement.find('.mes_text');
+async function imgrCommand(args, value) {
+    const prompt = String(args.prompt || value || '').trim();
+    if (!prompt) {
+        toastr.warning(t('请提供提示词'));
+        return '';
+    }
 
-        if (!isEnabled) return;
+    // ref: 省略时使用面板中的参考图，none 不使用参考图，其余视为图片地址
+    let referenceImages = null;
+    const ref = String(args.ref || '').trim();
+    if (ref === 'none') referenceImages = [];
+    else if (ref) referenceImages = [ref];
 
-        const html = textContainer.html();
-        // 适配多种格式：image###...### 或 image###<br>...<br>###
-        // 使用更宽松的正则，匹配 image### 开头到 ### 结尾（中间可以有任何内容包括 <br>）
-        const hasPlaceholder = /image###([\s\S]*?)###/.test(html);
+    const job = enqueueGeneration(prompt, {
+        source: 'command',
+        referenceImages,
+        overrides: { model: args.model || '', size: args.size || '' },
+    });
+    try {
+        const imageUrl = await job.promise;
+        if (parseBooleanArg(args.insert)) await insertImageMessage(imageUrl, prompt);
+        return imageUrl;
+    } catch {
+        // 失败提示已由任务队列给出
+        return '';
+    }
+}
 
-        if (!hasPlaceholder) {
-            if (textContainer.find('.img-router-inline-trigger, .img-router-inline-result').length > 0) {
-                bindInlineEvents(textContainer);
-            }
-            return;
-        }
+async function imgrHistoryCommand(args) {
+    const history = extension_settings[extensionName].generatedHistory || [];
+    if (args.index !== undefined && args.index !== '') {
+        const item = history[Number(args.index)];
+        if (!item) return '';
+        return resolveImageDataUrl(item.url);
+    }
+    const limit = Math.max(1, parseInt(args.limit) || 10);
+    return JSON.stringify(history.slice(0, limit).map((item, index) => ({
+        index,
+        prompt: item.prompt,
+        time: item.time,
+        profile: item.profile,
+    })));
+}
 
-        // 匹配 image### 和 ### 之间的内容（包括换行和 <br> 标签）
-        const regex = /image###([\s\S]*?)###/g;
-
-        const newHtml = html.replace(regex, (match, prompt) => {
-            // 清理 prompt：移除 <br> 标签，转换 HTML 实体
-            const cleanPrompt = prompt
-                .replace(/<br\s*\/?>/gi, '\n')
-                .replace(/&lt;/g, '<')
-                .replace(/&gt;/g, '>')
-                .replace(/&amp;/g, '&')
-                .replace(/&quot;/g, '"')
-                .replace(/&#39;/g, "'")
-                .trim();
-
-            // 检查缓存中是否已有生成的图片
-            const cachedImage = getCachedImage(cleanPrompt);
-            if (cachedImage) {
-                // 已有缓存，直接显示图片
-                return `
-                    <div class="img-router-inline-result">
-                        <img src="${cachedImage}" class="zoomable" onclick="clickZoom(this)" alt="已生成图片" />
-                        <div class="img-router-inline-actions">
-                            <i class="fa-solid fa-download" title="下载" onclick="event.stopPropagation(); const a = document.createElement('a'); a.href='${cachedImage}'; a.download='gen_${Date.now()}.png'; a.click();"></i>
-                        </div>
-                    </div>
-                `;
-            }
+function imgrClearRefsCommand() {
+    clearAllImages();
+    return '';
+}
 
-            // 没有缓存，显示生成按钮
-            const safePrompt = cleanPrompt.replace(/"/g, '&quot;');
-            return `<span class="img-router-inline-trigger" data-prompt="${safePrompt}" title="点击生成图片">[生成图片]</span>`;
-        });
+function imgrProfileCommand(args, value) {
+    const name = String(value || '').trim();
+    if (!name) return getActiveProfile()?.name || '';
+    const profile = switchProfile(name);
+    if (!profile) {
+        toastr.warning(t('未找到配置: {name}', { name }));
+        return '';
+    }
+    toastr.info(t('已切换到配置「{name}」', { name: profile.name }));
+    return profile.name;
+}
 
-        if (newHtml !== html) {
-            textContainer.html(newHtml);
+function imgrAutoCommand(args, value) {
+    const mode = String(value || '').trim().toLowerCase();
+    if (mode) {
+        const values = { on: true, off: false, default: null };
+        if (!(mode in values)) {
+            toastr.warning(t('参数应为 on、off 或 default'));
+            return '';
         }
-        bindInlineEvents(textContainer);
-    });
+        if (!setChatAutoGenerate(values[mode])) {
+            toastr.warning(t('请先打开一个聊天'));
+            return '';
+        }
+    }
+    const enabled = isAutoGenerateEnabled();
+    toastr.info(t('当前聊天自动生成: {state}', { state: t(enabled ? '开启' : '关闭') }));
+    return String(enabled);
 }
 
-function bindInlineEvents(container) {
-    container.find('.img-router-inline-trigger').off('click').on('click', async function(e) {
-        e.stopPropagation();
-        const trigger = $(this);
-        const prompt = trigger.attr('data-prompt');
+function registerSlashCommands() {
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'imgr',
+        callback: imgrCommand,
+        returns: t('生成的图片地址'),
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({ name: 'prompt', description: t('提示词（也可作为无名参数传入）'), typeList: [ARGUMENT_TYPE.STRING] }),
+            SlashCommandNamedArgument.fromProps({ name: 'model', description: t('覆盖本次使用的模型'), typeList: [ARGUMENT_TYPE.STRING] }),
+            SlashCommandNamedArgument.fromProps({ name: 'size', description: t('覆盖本次使用的尺寸，如 1024x1024'), typeList: [ARGUMENT_TYPE.STRING] }),
+            SlashCommandNamedArgument.fromProps({ name: 'ref', description: t('参考图地址；none 表示不使用参考图，省略时使用面板中的参考图'), typeList: [ARGUMENT_TYPE.STRING] }),
+            SlashCommandNamedArgument.fromProps({ name: 'insert', description: t('是否将图片插入当前聊天'), typeList: [ARGUMENT_TYPE.BOOLEAN], defaultValue: 'false', enumList: ['true', 'false'] }),
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({ description: t('提示词'), typeList: [ARGUMENT_TYPE.STRING] }),
+        ],
+        helpString: t('<div>通过 img-router 生成图片，返回图片地址，可用于管道。</div><div>示例: <code>/imgr size=1024x1024 insert=true a cat on the roof</code></div>'),
+    }));
 
-        if (isGenerating) return toastr.warning('已有任务进行中');
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'imgr-history',
+        callback: imgrHistoryCommand,
+        returns: t('历史记录列表 (JSON)，指定 index 时返回该图片地址'),
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({ name: 'limit', description: t('返回的最大条数'), typeList: [ARGUMENT_TYPE.NUMBER], defaultValue: '10' }),
+            SlashCommandNamedArgument.fromProps({ name: 'index', description: t('返回第 N 条记录的图片地址（0 为最新）'), typeList: [ARGUMENT_TYPE.NUMBER] }),
+        ],
+        helpString: t('<div>列出 img-router 的生成历史。</div>'),
+    }));
 
-        trigger.removeClass('img-router-inline-trigger').addClass('img-router-loading');
-        trigger.html('<i class="fa-solid fa-spinner fa-spin"></i> 生成中...');
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'imgr-clear-refs',
+        callback: imgrClearRefsCommand,
+        helpString: t('<div>清除 img-router 的全部参考图片。</div>'),
+    }));
 
-        try {
-            toastr.info('开始生成...');
-            const content = await generateImage(prompt);
-            
-            if (content) {
-                const imageUrl = extractImageFromContent(content);
-                if (imageUrl) {
-                    addToHistory(imageUrl, prompt);
-                    cachePromptImage(prompt, imageUrl); // 缓存 prompt -> imageUrl，刷新后可恢复
-                    const imgHtml = `
-                        <div class="img-router-inline-result">
-                            <img src="${imageUrl}" class="zoomable" onclick="clickZoom(this)" alt="${prompt}" />
-                            <div class="img-router-inline-actions">
-                                <i class="fa-solid fa-download" title="下载" onclick="event.stopPropagation(); const a = document.createElement('a'); a.href='${imageUrl}'; a.download='gen_${Date.now()}.png'; a.click();"></i>
-                            </div>
-                        </div>
-                    `;
-                    trigger.replaceWith(imgHtml);
-                    saveSettingsDebounced();
-                    toastr.success('生成成功，已保存');
-                } else {
-                    throw new Error('无法解析图片数据');
-                }
-            } else {
-                throw new Error('API 返回为空');
-            }
-        } catch (err) {
-            trigger.removeClass('img-router-loading').addClass('img-router-inline-trigger');
-            trigger.html('[生成失败-点击重试]');
-            toastr.error(err.message);
-        }
-    });
-}
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'imgr-profile',
+        callback: imgrProfileCommand,
+        returns: t('当前配置名称'),
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: t('要切换到的配置名称；省略时返回当前配置'),
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumProvider: () => (extension_settings[extensionName].profiles || []).map(profile => new SlashCommandEnumValue(profile.name)),
+            }),
+        ],
+        helpString: t('<div>切换或查看 img-router 的连接配置。</div>'),
+    }));
 
-function startChatObserver() {
-    const chatContainer = document.getElementById('chat');
-    if (!chatContainer) {
-        setTimeout(startChatObserver, 1000);
-        return;
-    }
-    if (chatObserver) chatObserver.disconnect();
-    chatObserver = new MutationObserver((mutations) => {
-        let shouldProcess = false;
-        for (const mutation of mutations) {
-            if (mutation.addedNodes.length > 0) {
-                shouldProcess = true;
-                break;
-            }
-        }
-        if (shouldProcess) processChatMessages();
-    });
-    chatObserver.observe(chatContainer, { childList: true, subtree: true });
-    console.log('[img-router] Chat Observer started.');
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'imgr-auto',
+        callback: imgrAutoCommand,
+        returns: t('当前聊天是否自动生成 (true/false)'),
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: t('on / off 设置当前聊天，default 恢复跟随全局；省略时返回当前状态'),
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumList: ['on', 'off', 'default'],
+            }),
+        ],
+        helpString: t('<div>设置当前聊天是否自动生成新消息中的图片占位符。</div>'),
+    }));
 }
 
 // ================= UI 注入与初始化 =================
@@ -588,10 +3594,32 @@ function injectCustomStyles() {
         .img-router-loading { color: var(--SmartThemeQuoteColor); font-size: 0.9em; cursor: wait; }
         .img-router-inline-result { display: inline-block; position: relative; margin: 10px 0; max-width: 100%; }
         .img-router-inline-result img { max-width: 100%; max-height: 400px; border-radius: 8px; box-shadow: 0 4px 12px rgba(0,0,0,0.2); cursor: zoom-in; display: block; }
-        .img-router-inline-actions { position: absolute; bottom: 5px; right: 5px; background: rgba(0,0,0,0.6); border-radius: 4px; padding: 4px; display: flex; gap: 5px; opacity: 0; transition: opacity 0.2s; }
+        .img-router-inline-actions { position: absolute; bottom: 5px; right: 5px; max-width: calc(100% - 10px); background: rgba(0,0,0,0.6); border-radius: 4px; padding: 4px; display: flex; flex-wrap: wrap; justify-content: flex-end; gap: 5px; opacity: 0; transition: opacity 0.2s; }
         .img-router-inline-result:hover .img-router-inline-actions { opacity: 1; }
+        .img-router-inline-main { position: relative; }
+        .img-router-variant-strip { display: flex; gap: 4px; margin-top: 6px; overflow-x: auto; }
+        .img-router-inline-result .img-router-variant { width: 48px; height: 48px; object-fit: cover; border-radius: 4px; box-shadow: none; opacity: 0.6; cursor: pointer; border: 2px solid transparent; flex-shrink: 0; }
+        .img-router-inline-result .img-router-variant.selected { opacity: 1; border-color: #3b82f6; }
+        .img-router-variant-status { font-size: 0.85em; margin-top: 4px; color: var(--SmartThemeQuoteColor); }
+        .history-variant-nav { position: absolute; top: 0; left: 0; width: 100%; display: flex; justify-content: space-between; align-items: center; background: rgba(0,0,0,0.5); color: white; font-size: 10px; padding: 2px 4px; box-sizing: border-box; }
+        .history-variant-nav i { cursor: pointer; }
         .img-router-inline-actions i { color: white; cursor: pointer; font-size: 14px; padding: 2px; }
         .img-router-inline-actions i:hover { color: #3b82f6; }
+        .img-router-progress { display: block; font-size: 0.85em; opacity: 0.85; }
+        .img-router-progress-text:empty { display: none; }
+        .img-router-progress-preview { display: block; max-width: 160px; max-height: 160px; margin-top: 4px; border-radius: 4px; opacity: 0.8; }
+        .img-router-job-row .img-router-progress-compact { display: inline; max-width: 40%; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+        .img-router-elapsed { opacity: 0.7; font-variant-numeric: tabular-nums; }
+        .img-router-auto-indicator { font-size: 0.85em; color: var(--SmartThemeQuoteColor); margin-bottom: 4px; }
+        .img-router-job-cancel { cursor: pointer; margin-left: 4px; opacity: 0.7; }
+        .img-router-job-cancel:hover { opacity: 1; color: #f44336; }
+        #img-router-queue-container { display: flex; flex-direction: column; gap: 4px; max-height: 160px; overflow-y: auto; margin-top: 10px; }
+        .img-router-job-row { display: flex; align-items: center; gap: 6px; font-size: 0.85em; padding: 4px 6px; border-radius: 4px; background: rgba(255,255,255,0.04); }
+        .img-router-job-row .img-router-job-label { flex-shrink: 0; opacity: 0.8; }
+        .img-router-job-row .img-router-job-prompt { flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+        .img-router-job-row[data-status="failed"] { color: #f44336; }
+        .img-router-job-row[data-status="done"] { color: #4caf50; }
+        .img-router-job-row[data-status="cancelled"] { opacity: 0.5; }
 
         #img-router-modal-overlay {
             position: fixed; top: 0; left: 0; width: 100%; height: 100%;
@@ -626,24 +3654,35 @@ function injectCustomStyles() {
         }
 
         .img-router-header { border-bottom: 1px solid rgba(255,255,255,0.1); margin-bottom: 15px; padding-bottom: 10px; cursor: move; }
-        .img-router-section { background: rgba(0,0,0,0.2); padding: 12px; border-radius: 8px; margin-bottom: 12px; border: 1px solid rgba(255,255,255,0.05); }
-        .img-router-section h4 { margin: 0 0 10px 0; border-bottom: 1px solid rgba(255,255,255,0.1); padding-bottom: 5px; font-size: 1em; }
-        .img-router-field { margin-bottom: 10px; }
-        .img-router-field label { display: block; font-size: 0.9em; margin-bottom: 4px; opacity: 0.9; }
-        .img-router-input { width: 100%; padding: 8px; border-radius: 4px; border: 1px solid var(--SmartThemeBorderColor, #555); background: var(--SmartThemeEmColor, #222); color: var(--SmartThemeBodyColor, #fff); box-sizing: border-box; font-size: 16px; }
         .img-router-preview-list { display: flex; gap: 8px; flex-wrap: wrap; margin-top: 8px; }
         .img-router-preview-item { width: 60px; height: 60px; position: relative; border-radius: 4px; overflow: hidden; border: 1px solid #555; }
         .img-router-preview-item img { width: 100%; height: 100%; object-fit: cover; }
+        .img-router-preview-size { position: absolute; bottom: 0; left: 0; width: 100%; background: rgba(0,0,0,0.6); color: white; font-size: 9px; text-align: center; line-height: 1.4; white-space: nowrap; overflow: hidden; }
+        .img-router-preview-badge { position: absolute; bottom: 0; left: 0; width: 100%; background: rgba(59,130,246,0.8); color: white; font-size: 10px; text-align: center; line-height: 1.4; }
         .img-router-preview-item .remove-btn { position: absolute; top: 0; right: 0; background: rgba(255,0,0,0.7); color: white; border: none; width: 20px; height: 20px; cursor: pointer; display: flex; align-items: center; justify-content: center; font-size: 12px; }
-        .img-router-upload-zone { display: block; border: 2px dashed #555; padding: 15px; text-align: center; border-radius: 6px; cursor: pointer; transition: 0.2s; margin-bottom: 0; }
-        .img-router-upload-zone:hover { border-color: #3b82f6; background: rgba(59, 130, 246, 0.1); }
-        #img-router-history-container { display: grid; grid-template-columns: repeat(auto-fill, minmax(80px, 1fr)); gap: 8px; max-height: 200px; overflow-y: auto; margin-top: 10px; }
         .history-item { position: relative; aspect-ratio: 1; border-radius: 4px; overflow: hidden; border: 1px solid #444; }
         .history-item img { width: 100%; height: 100%; object-fit: cover; cursor: zoom-in; }
         .history-actions { position: absolute; bottom: 0; left: 0; width: 100%; background: rgba(0,0,0,0.7); display: flex; justify-content: space-around; padding: 4px 0; opacity: 0; transition: 0.2s; }
         .history-item:hover .history-actions { opacity: 1; }
         .history-actions i { color: white; cursor: pointer; font-size: 12px; }
         .history-actions i:hover { color: #3b82f6; }
+        .history-item.favorite { border-color: #f5b301; }
+        .history-favorite.fa-solid { color: #f5b301 !important; }
+        .history-browser-toolbar { display: flex; flex-wrap: wrap; gap: 8px; align-items: center; margin-bottom: 10px; }
+        .history-browser-toolbar .history-search { flex: 1; min-width: 160px; }
+        .history-browser-toolbar select { width: auto; }
+        .history-browser-grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(180px, 1fr)); gap: 10px; text-align: left; }
+        .history-card { display: flex; flex-direction: column; gap: 4px; padding: 6px; border-radius: 6px; border: 1px solid var(--SmartThemeBorderColor, #444); background: rgba(0,0,0,0.15); }
+        .history-card.favorite { border-color: #f5b301; }
+        .history-card-image { position: relative; aspect-ratio: 1; border-radius: 4px; overflow: hidden; }
+        .history-card-image img { width: 100%; height: 100%; object-fit: cover; cursor: zoom-in; }
+        .history-card-count { position: absolute; top: 4px; right: 4px; background: rgba(0,0,0,0.6); color: white; font-size: 10px; padding: 1px 4px; border-radius: 3px; }
+        .history-card-prompt { font-size: 0.85em; display: -webkit-box; -webkit-line-clamp: 2; -webkit-box-orient: vertical; overflow: hidden; }
+        .history-card-meta { font-size: 0.75em; opacity: 0.7; word-break: break-all; }
+        .history-card-actions { display: flex; justify-content: space-around; margin-top: auto; }
+        .history-card-actions i { cursor: pointer; opacity: 0.8; }
+        .history-card-actions i:hover { opacity: 1; color: #3b82f6; }
+        .history-browser-pager { display: flex; justify-content: center; align-items: center; gap: 10px; margin-top: 10px; }
 
         #img-router-modal-close { top: 8px; right: 8px; }
 
@@ -659,17 +3698,191 @@ function injectCustomStyles() {
 }
 
 function setupEventHandlers() {
-    $('#img-router-api-url').on('input', function() { saveSetting('apiUrl', $(this).val().trim()); });
+    $('#img-router-api-url').on('input', function() {
+        saveSetting('apiUrl', $(this).val().trim());
+        renderModelOptions();
+    });
     $('#img-router-api-key').on('input', function() { saveSetting('apiKey', $(this).val().trim()); });
-    $('#img-router-model').on('change', function() { saveSetting('model', $(this).val()); });
+    $('#img-router-model').on('change', function() {
+        saveSetting('model', $(this).val());
+        updateParamVisibility();
+    });
+    $('#img-router-refresh-models').on('click', () => refreshModels());
     $('#img-router-size').on('change', function() { saveSetting('size', $(this).val()); });
     $('#img-router-stream').on('change', function() { saveSetting('stream', $(this).prop('checked')); });
+    $('#img-router-request-mode').on('change', function() {
+        saveSetting('requestMode', $(this).val());
+        renderRequestModeOptions();
+    });
+    $('#img-router-response-format').on('change', function() { saveSetting('responseFormat', $(this).val()); });
+    $('#img-router-mask-input').on('change', async function() {
+        if (this.files[0]) await setMaskImage(this.files[0]);
+        this.value = '';
+    });
+    $('#img-router-mask-preview').on('click', '.remove-btn', removeMaskImage);
     $('#img-router-prefix').on('input', function() { saveSetting('promptPrefix', $(this).val()); });
+    $('#img-router-negative').on('input', function() { saveSetting('negativePrompt', $(this).val()); });
+    $('#img-router-seed').on('change', function() {
+        const value = Math.min(MAX_SEED, Math.max(-1, parseInt($(this).val()) || -1));
+        $(this).val(value);
+        saveSetting('seed', value);
+    });
+    $('#img-router-seed-lock').on('change', function() { saveSetting('seedLocked', $(this).prop('checked')); });
+    $('#img-router-seed-random').on('click', () => {
+        const seed = randomSeed();
+        $('#img-router-seed').val(seed);
+        saveSetting('seed', seed);
+    });
+    $('#img-router-count').on('change', function() {
+        const value = Math.min(MAX_IMAGE_COUNT, Math.max(1, parseInt($(this).val()) || 1));
+        $(this).val(value);
+        saveSetting('imageCount', value);
+    });
+    $('#img-router-quality').on('change', function() { saveSetting('quality', $(this).val()); });
+    $('#img-router-steps').on('change', function() {
+        const value = Math.max(0, parseInt($(this).val()) || 0);
+        $(this).val(value);
+        saveSetting('steps', value);
+    });
+    $('#img-router-guidance').on('change', function() {
+        const value = Math.max(0, Number($(this).val()) || 0);
+        $(this).val(value);
+        saveSetting('guidance', value);
+    });
+    $('#img-router-extra-params').on('input', function() {
+        saveSetting('extraParams', $(this).val());
+        validateExtraParamsInput();
+    });
     $('#img-router-fix-ref').on('change', function() { saveSetting('fixReferenceImages', $(this).prop('checked')); });
+    $('#img-router-ref-max-dim').on('change', function() {
+        const value = Math.max(0, parseInt($(this).val()) || 0);
+        $(this).val(value);
+        saveSetting('refMaxDimension', value);
+    });
+    $('#img-router-ref-format').on('change', function() { saveSetting('refFormat', $(this).val()); });
+    $('#img-router-ref-quality').on('change', function() {
+        const value = Math.min(1, Math.max(0.1, Number($(this).val()) || 0.9));
+        $(this).val(value);
+        saveSetting('refQuality', value);
+    });
+    $('#img-router-ref-crop').on('change', function() { saveSetting('refCropAspect', $(this).val()); });
+    $('#img-router-ref-default-limit').on('change', function() {
+        const value = Math.min(16, Math.max(1, parseInt($(this).val()) || 1));
+        $(this).val(value);
+        saveSetting('maxReferenceImages', value);
+        renderReferenceLimit();
+    });
+    $('#img-router-ref-limit').on('change', function() { setModelReferenceLimit($(this).val()); });
+    $('#img-router-avatar-ref').on('change', function() {
+        saveSetting('avatarReference', $(this).val());
+        updateImagePreviews();
+    });
+    $('#img-router-avatar-ref-chat').on('change', function() {
+        const value = $(this).val();
+        setChatAvatarReference(value === 'inherit' ? null : value);
+    });
     $('#img-router-enable-inline').on('change', function() { saveSetting('enableInline', $(this).prop('checked')); });
+    $('#img-router-auto-generate').on('change', function() { saveSetting('autoGenerate', $(this).prop('checked')); });
+    $('#img-router-auto-chat').on('change', function() {
+        const values = { inherit: null, on: true, off: false };
+        setChatAutoGenerate(values[$(this).val()]);
+    });
+    $('#img-router-auto-max').on('change', function() {
+        const value = Math.min(10, Math.max(1, parseInt($(this).val()) || 1));
+        $(this).val(value);
+        saveSetting('autoGenerateMax', value);
+    });
+    $('#img-router-concurrency').on('change', function() {
+        const value = Math.min(6, Math.max(1, parseInt($(this).val()) || 1));
+        $(this).val(value);
+        saveSetting('maxConcurrency', value);
+        pumpQueue();
+    });
+    $('#img-router-timeout').on('change', function() {
+        const value = Math.max(0, parseInt($(this).val()) || 0);
+        $(this).val(value);
+        saveSetting('requestTimeout', value);
+    });
+    $('#img-router-retries').on('change', function() {
+        const value = Math.min(5, Math.max(0, parseInt($(this).val()) || 0));
+        $(this).val(value);
+        saveSetting('maxRetries', value);
+    });
+    $('#img-router-storage-limit').on('change', function() {
+        const value = Math.max(0, parseInt($(this).val()) || 0);
+        $(this).val(value);
+        saveSetting('maxStorageMB', value);
+        enforceStorageLimit().then(renderStorageUsage).catch(error => console.error('[img-router] Eviction failed:', error));
+    });
+    $('#img-router-history-limit').on('change', function() {
+        const value = Math.max(1, parseInt($(this).val()) || 1);
+        $(this).val(value);
+        saveSetting('historyLimit', value);
+        const history = extension_settings[extensionName].generatedHistory || [];
+        const removed = truncateHistory(history);
+        saveSetting('generatedHistory', history);
+        renderHistoryGallery();
+        releaseImages(removed);
+    });
 
     $('#img-router-test-connection').on('click', testConnection);
+    $('#img-router-profile').on('change', function() { switchProfile($(this).val()); });
+    $('#img-router-profile-add').on('click', createProfile);
+    $('#img-router-profile-rename').on('click', renameProfile);
+    $('#img-router-profile-delete').on('click', deleteProfile);
+    $('#img-router-failover').on('change', function() { saveSetting('failoverEnabled', $(this).prop('checked')); });
+    $('#img-router-profile-failover').on('change', function() {
+        const profile = getActiveProfile();
+        if (profile) profile.failover = $(this).prop('checked');
+        saveSettingsDebounced();
+    });
     $('#img-router-clear-history').on('click', clearHistory);
+    $('#img-router-open-gallery').on('click', openHistoryBrowser);
+    $('#img-router-export').on('click', exportBundle);
+    $('#img-router-import').on('click', () => $('#img-router-import-file').trigger('click'));
+    $('#img-router-import-file').on('change', async function() {
+        if (this.files[0]) await importBundle(this.files[0]);
+        this.value = '';
+    });
+    $('#img-router-generate').on('click', quickGenerate);
+    $('#img-router-illustrate-scene').on('click', fillScenePrompt);
+
+    $('#img-router-preset-scope').on('change', renderPresetPanel);
+    $('#img-router-preset-enabled').on('change', function() { updatePresetField('enabled', $(this).prop('checked')); });
+    $('#img-router-preset-prefix').on('input', function() { updatePresetField('promptPrefix', $(this).val()); });
+    $('#img-router-preset-negative').on('input', function() { updatePresetField('negativePrompt', $(this).val()); });
+    $('#img-router-preset-model').on('change', function() {
+        updatePresetField('model', $(this).val());
+        updateParamVisibility();
+    });
+    $('#img-router-preset-size').on('change', function() { updatePresetField('size', $(this).val()); });
+    $('#img-router-preset-file-input').on('change', async function() {
+        for (const file of this.files) await addPresetReferenceImage(file);
+        this.value = '';
+    });
+    $('#img-router-preset-preview').on('click', '.remove-btn', function(e) {
+        e.stopPropagation();
+        removePresetReferenceImage(parseInt($(this).data('index')));
+    });
+    $('#img-router-scene-count').on('change', function() {
+        const value = Math.min(50, Math.max(1, parseInt($(this).val()) || 1));
+        $(this).val(value);
+        saveSetting('sceneMessageCount', value);
+    });
+    $('#img-router-scene-instruction').on('input', function() { saveSetting('sceneInstruction', $(this).val()); });
+    $('#img-router-clear-jobs').on('click', clearFinishedJobs);
+    $('#img-router-show-fab').on('change', function() {
+        saveSetting('showFab', $(this).prop('checked'));
+        renderFab();
+    });
+    $('#img-router-language').on('change', function() {
+        saveSetting('language', $(this).val());
+        applyLanguage();
+    });
+    $('#img-router-reset-fab').on('click', () => {
+        saveSetting('fabPosition', null);
+        renderFab();
+    });
 
     const uploadZone = $('#img-router-upload-area');
     const fileInput = $('#img-router-file-input');
@@ -691,9 +3904,25 @@ function setupEventHandlers() {
         removeReferenceImage(parseInt($(this).data('index')));
     });
     $('#img-router-clear-images').on('click', clearAllImages);
+}
+
+const FAB_STYLE = 'position: fixed; width: 50px; height: 50px; border-radius: 50%; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); display: flex; justify-content: center; align-items: center; cursor: grab; z-index: 99999; box-shadow: 0 4px 15px rgba(102, 126, 234, 0.4); border: none; color: white; font-size: 24px; -webkit-tap-highlight-color: transparent; touch-action: none;';
 
-    eventSource.on(event_types.MESSAGE_RECEIVED, () => setTimeout(processChatMessages, 200));
-    eventSource.on(event_types.CHAT_CHANGED, () => setTimeout(processChatMessages, 200));
+// 按设置显示或隐藏悬浮按钮，并恢复拖动后的位置（窗口变小时限制在可见范围内）
+function renderFab() {
+    const fab = document.getElementById('img-router-fab');
+    if (!fab) return;
+    const { showFab, fabPosition } = extension_settings[extensionName];
+    fab.style.cssText = FAB_STYLE;
+    if (fabPosition) {
+        fab.style.left = `${Math.max(0, Math.min(fabPosition.left, window.innerWidth - 50))}px`;
+        fab.style.top = `${Math.max(0, Math.min(fabPosition.top, window.innerHeight - 50))}px`;
+    } else {
+        fab.style.left = '20px';
+        fab.style.bottom = '150px';
+    }
+    // style.css 中的 display 带 !important
+    fab.style.setProperty('display', showFab ? 'flex' : 'none', 'important');
 }
 
 function initFabDrag(fabElement) {
@@ -738,6 +3967,9 @@ function initFabDrag(fabElement) {
             e.preventDefault();
             showSettingsModal();
         }
+        if (hasMoved) {
+            saveSetting('fabPosition', { left: parseInt(fabElement.style.left), top: parseInt(fabElement.style.top) });
+        }
 
         setTimeout(() => fabElement.dataset.dragging = 'false', 100);
     }
@@ -755,12 +3987,18 @@ jQuery(async () => {
         console.log('[img-router] Init...');
         injectCustomStyles();
 
+        // 初始化设置
+        ensureSettings();
+        ensureProfiles();
+        ensureHistoryIds();
+        await migrateImagesToStore();
+
         // 创建 FAB 按钮
         const fab = document.createElement('button');
         fab.id = 'img-router-fab';
         fab.innerHTML = '<i class="fa-solid fa-images"></i>';
-        fab.style.cssText = `position: fixed; bottom: 150px; left: 20px; width: 50px; height: 50px; border-radius: 50%; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); display: flex; justify-content: center; align-items: center; cursor: grab; z-index: 99999; box-shadow: 0 4px 15px rgba(102, 126, 234, 0.4); border: none; color: white; font-size: 24px; -webkit-tap-highlight-color: transparent; touch-action: none;`;
         document.body.appendChild(fab);
+        renderFab();
 
         // 点击 FAB 显示设置弹窗
         fab.addEventListener('click', function() {
@@ -768,28 +4006,175 @@ jQuery(async () => {
         });
 
         initFabDrag(fab);
+        window.addEventListener('resize', renderFab);
 
-        // 初始化设置
-        if (!extension_settings[extensionName]) {
-            extension_settings[extensionName] = { ...defaultSettings };
+        try {
+            await createSettingsPanel();
+        } catch (error) {
+            console.error('[img-router] Failed to load settings panel:', error);
+        }
+
+        // 已配置后端时在后台刷新模型列表，失败则沿用缓存/内置列表
+        if (extension_settings[extensionName].apiUrl && extension_settings[extensionName].apiKey) {
+            refreshModels({ silent: true });
         }
 
+        // 取消按钮在触发器和队列面板中动态生成，统一委托处理
+        $(document).on('click', '.img-router-job-cancel', function(e) {
+            e.stopPropagation();
+            cancelJob($(this).closest('[data-job-id]').attr('data-job-id'));
+        });
+        // 历史记录（面板缩略图与图库弹窗共用）
+        $(document).on('click', '.history-variant-nav i', function(e) {
+            e.stopPropagation();
+            const nav = $(this).closest('.history-variant-nav');
+            const item = findHistoryItem($(this).closest('.history-item').attr('data-id'));
+            if (!item) return;
+            const refs = getHistoryRefs(item);
+            const variant = (Number(nav.attr('data-variant')) + Number($(this).data('step')) + refs.length) % refs.length;
+            nav.attr('data-variant', variant);
+            nav.find('span').text(`${variant + 1}/${refs.length}`);
+            setImageRef(nav.closest('.history-item').find('img'), refs[variant]);
+        });
+        $(document).on('click', '.history-favorite', function(e) {
+            e.stopPropagation();
+            toggleHistoryFavorite($(this).closest('[data-id]').attr('data-id'));
+        });
+        $(document).on('click', '.history-delete', function(e) {
+            e.stopPropagation();
+            deleteHistoryItem($(this).closest('[data-id]').attr('data-id'));
+        });
+        $(document).on('click', '.img-router-inline-trigger', function(e) {
+            e.stopPropagation();
+            startInlineGeneration($(this));
+        });
+        $(document).on('click', '.img-router-zoom', function(e) {
+            e.stopPropagation();
+            if (typeof window.clickZoom === 'function') window.clickZoom(this);
+        });
+        $(document).on('click', '.img-router-download', function(e) {
+            e.stopPropagation();
+            const container = $(this).closest('.img-router-inline-result, .history-item');
+            const name = container.hasClass('history-item') ? `history_${container.attr('data-id')}` : `gen_${Date.now()}`;
+            downloadImage(container.find('img').first().attr('src'), `${name}.png`);
+        });
+        $(document).on('click', '.img-router-variant', function(e) {
+            e.stopPropagation();
+            selectInlineVariant($(this).closest('.img-router-inline-result'), Number($(this).data('variant')));
+        });
+        $(document).on('click', '.img-router-more-variants', function(e) {
+            e.stopPropagation();
+            requestMoreVariants($(this).closest('.img-router-inline-result'), { seed: 'new' });
+        });
+        $(document).on('click', '.img-router-discard-variants', function(e) {
+            e.stopPropagation();
+            discardOtherVariants($(this).closest('.img-router-inline-result'));
+        });
+        $(document).on('click', '.img-router-regen-same', function(e) {
+            e.stopPropagation();
+            requestMoreVariants($(this).closest('.img-router-inline-result'), { seed: 'same' });
+        });
+        $(document).on('click', '.img-router-edit-prompt', function(e) {
+            e.stopPropagation();
+            editInlinePrompt($(this).closest('.img-router-inline-result'));
+        });
+        $(document).on('click', '.img-router-use-reference', function(e) {
+            e.stopPropagation();
+            useInlineImageAsReference($(this).closest('.img-router-inline-result'));
+        });
+        $(document).on('click', '.img-router-copy-prompt', function(e) {
+            e.stopPropagation();
+            const { entry } = getInlineBlockTarget($(this).closest('.img-router-inline-result'));
+            if (entry) copyPromptText(entry.prompt);
+        });
+        $(document).on('click', '.img-router-remove-image', function(e) {
+            e.stopPropagation();
+            removeInlineImage($(this).closest('.img-router-inline-result'));
+        });
+        // 在内联图片上左右滑动切换变体
+        let swipeStartX = null;
+        $(document).on('touchstart', '.img-router-inline-main', function(e) {
+            swipeStartX = e.originalEvent.touches[0].clientX;
+        });
+        $(document).on('touchend', '.img-router-inline-main', function(e) {
+            if (swipeStartX === null) return;
+            const dx = e.originalEvent.changedTouches[0].clientX - swipeStartX;
+            swipeStartX = null;
+            const block = $(this).closest('.img-router-inline-result');
+            const count = block.find('.img-router-variant').length;
+            if (Math.abs(dx) < 50 || count < 2) return;
+            const current = block.find('.img-router-variant.selected').data('variant') || 0;
+            selectInlineVariant(block, (current + (dx < 0 ? 1 : -1) + count) % count);
+        });
+        $(document).on('click', '.img-router-illustrate', function() {
+            illustrateMessage(Number($(this).closest('.mes').attr('mesid')));
+        });
+
+        registerSlashCommands();
+        eventSource.on(event_types.CHAT_CHANGED, onPresetChatChanged);
+        eventSource.on(event_types.GENERATION_STARTED, onGenerationStarted);
+        eventSource.on(event_types.MESSAGE_RECEIVED, onMessageReceived);
+        registerChatEvents();
         startChatObserver();
         setTimeout(processChatMessages, 1000);
         console.log('[img-router] Ready.');
     } catch (error) { console.error(error); }
 });
 
-// 显示设置弹窗
+// ================= 设置面板 =================
+
+// 设置面板只创建一次，平时停靠在扩展面板中，打开悬浮按钮弹窗时移入弹窗，关闭后移回
+let settingsPanel = null;
+
+async function createSettingsPanel() {
+    const host = $('#extensions_settings2').length ? $('#extensions_settings2') : $('#extensions_settings');
+    const drawer = $(`
+        <div class="img-router-drawer">
+            <div class="inline-drawer">
+                <div class="inline-drawer-toggle inline-drawer-header">
+                    <b>🎨 <span class="img-router-panel-title">${t('图像生成器')}</span></b>
+                    <div class="inline-drawer-icon fa-solid fa-circle-chevron-down down"></div>
+                </div>
+                <div class="inline-drawer-content">
+                    <div class="img-router-drawer-placeholder" style="display: none; padding: 10px; opacity: 0.7;">${t('设置已在弹窗中打开')}</div>
+                </div>
+            </div>
+        </div>
+    `);
+    host.append(drawer);
+
+    settingsPanel = $(await $.get(settingsTemplateUrl));
+    localizeElement(settingsPanel[0]);
+    drawer.find('.inline-drawer-content').append(settingsPanel);
+    // 面板中的元素始终存在，事件只需绑定一次
+    setupEventHandlers();
+    loadSettings();
+}
+
+function dockSettingsPanel() {
+    const content = $('.img-router-drawer .inline-drawer-content');
+    content.append(settingsPanel);
+    content.find('.img-router-drawer-placeholder').hide();
+}
+
+// 切换界面语言：重新翻译面板模板，再重新渲染动态生成的部分
+function applyLanguage() {
+    localizeElement(settingsPanel[0]);
+    $('.img-router-panel-title').text(t('图像生成器'));
+    $('.img-router-drawer-placeholder').text(t('设置已在弹窗中打开'));
+    loadSettings();
+}
+
+// 显示设置弹窗（再次点击悬浮按钮时关闭）
 function showSettingsModal() {
-    // 如果已存在，先移除
     const existingModal = document.getElementById('img-router-settings-modal');
     if (existingModal) {
-        existingModal.remove();
-        return; // 点击关闭
+        existingModal.close();
+        return;
     }
+    if (!settingsPanel) return toastr.error(t('设置面板加载失败，请刷新页面后重试'));
 
-    // 创建弹窗容器 - 使用 dialog 元素，浏览器会自动处理层级
+    // 使用 dialog 元素，浏览器会自动处理层级
     const modal = document.createElement('dialog');
     modal.id = 'img-router-settings-modal';
     modal.style.cssText = `
@@ -811,7 +4196,7 @@ function showSettingsModal() {
     `;
 
     modal.innerHTML = `
-        <div style="padding: 20px; position: relative;">
+        <div class="img-router-modal-body" style="padding: 20px; position: relative;">
             <button id="img-router-close-btn" style="
                 position: absolute;
                 top: 10px;
@@ -829,92 +4214,13 @@ function showSettingsModal() {
                 align-items: center;
             ">✕</button>
 
-            <h3 style="margin: 0 0 20px 0; padding-right: 40px;">🎨 图像生成器 <span style="font-size: 0.6em; opacity: 0.7;">v2.4.0</span></h3>
-
-            <div style="display:flex; align-items:center; justify-content:space-between; background:rgba(59, 130, 246, 0.1); padding: 12px; border-radius: 8px; margin-bottom: 15px;">
-                <span style="font-weight:bold;">启用聊天内联生成</span>
-                <input type="checkbox" id="img-router-enable-inline" checked style="width: 20px; height: 20px;">
-            </div>
-
-            <div style="background: rgba(0,0,0,0.2); padding: 12px; border-radius: 8px; margin-bottom: 15px;">
-                <h4 style="margin: 0 0 10px 0;">🔗 API 配置</h4>
-                <div style="margin-bottom: 10px;">
-                    <label style="display: block; margin-bottom: 5px;">服务器地址</label>
-                    <input type="text" id="img-router-api-url" placeholder="http://127.0.0.1:10001" style="width: 100%; padding: 8px; border-radius: 4px; border: 1px solid #555; background: #222; color: #fff; box-sizing: border-box; font-size: 16px;">
-                </div>
-                <div style="margin-bottom: 10px;">
-                    <label style="display: block; margin-bottom: 5px;">访问令牌</label>
-                    <input type="text" id="img-router-api-key" placeholder="请输入 accessToken" style="width: 100%; padding: 8px; border-radius: 4px; border: 1px solid #555; background: #222; color: #fff; box-sizing: border-box; font-size: 16px;">
-                    <small style="opacity: 0.7; display: block; margin-top: 4px;">请在 img-router 管理后台创建访问令牌</small>
-                </div>
-                <button id="img-router-test-connection" class="menu_button" style="padding: 8px 16px; cursor: pointer;">测试连接</button>
-                <span id="img-router-connection-status" style="margin-left: 10px;"></span>
-            </div>
-
-            <div style="background: rgba(0,0,0,0.2); padding: 12px; border-radius: 8px; margin-bottom: 15px;">
-                <h4 style="margin: 0 0 10px 0;">⚙️ 生成设置</h4>
-                <div style="margin-bottom: 10px;">
-                    <label style="display: block; margin-bottom: 5px;">提示词前缀</label>
-                    <textarea id="img-router-prefix" rows="2" placeholder="例如: high quality, masterpiece, 8k" style="width: 100%; padding: 8px; border-radius: 4px; border: 1px solid #555; background: #222; color: #fff; box-sizing: border-box; resize: vertical; font-size: 16px;"></textarea>
-                </div>
-                <div style="margin-bottom: 10px;">
-                    <label style="display: block; margin-bottom: 5px;">模型</label>
-                    <select id="img-router-model" style="width: 100%; padding: 8px; border-radius: 4px; border: 1px solid #555; background: #222; color: #fff; font-size: 16px;">
-                        <option value="">默认 (自动)</option>
-                        <optgroup label="火山引擎">
-                            <option value="doubao-seedream-4-5-251128">doubao-seedream-4-5-251128</option>
-                            <option value="doubao-seedream-4-0-250828">doubao-seedream-4-0-250828</option>
-                        </optgroup>
-                        <optgroup label="Gitee">
-                            <option value="z-image-turbo">z-image-turbo</option>
-                            <option value="Qwen-Image-Edit">Qwen-Image-Edit</option>
-                        </optgroup>
-                    </select>
-                </div>
-                <div style="margin-bottom: 10px;">
-                    <label style="display: block; margin-bottom: 5px;">尺寸</label>
-                    <select id="img-router-size" style="width: 100%; padding: 8px; border-radius: 4px; border: 1px solid #555; background: #222; color: #fff; font-size: 16px;">
-                        <option value="">默认</option>
-                        <option value="512x512">512x512</option>
-                        <option value="768x768">768x768</option>
-                        <option value="1024x1024">1024x1024</option>
-                    </select>
-                </div>
-                <label style="display: flex; align-items: center; gap: 8px;">
-                    <input type="checkbox" id="img-router-stream" checked>
-                    流式响应
-                </label>
-            </div>
-
-            <div style="background: rgba(0,0,0,0.2); padding: 12px; border-radius: 8px; margin-bottom: 15px;">
-                <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 10px;">
-                    <h4 style="margin: 0;">🖼️ 参考图片</h4>
-                    <div style="display: flex; align-items: center; gap: 10px;">
-                        <label style="display: flex; align-items: center; gap: 4px; font-size: 0.9em;">
-                            <input type="checkbox" id="img-router-fix-ref"> 固定
-                        </label>
-                        <small id="img-router-clear-images" style="cursor: pointer; color: #f44336; display: none;">清除</small>
-                    </div>
-                </div>
-                <label id="img-router-upload-area" style="display: block; border: 2px dashed #555; padding: 20px; text-align: center; border-radius: 6px; cursor: pointer;">
-                    <i class="fa-solid fa-cloud-arrow-up" style="font-size: 2em; margin-bottom: 5px; display: block;"></i>
-                    <p style="margin: 0;">点击或拖拽上传图片</p>
-                </label>
-                <input type="file" id="img-router-file-input" accept="image/*" multiple style="display: none;">
-                <div id="img-router-preview-container" style="display: flex; gap: 8px; flex-wrap: wrap; margin-top: 10px;"></div>
-            </div>
-
-            <div style="background: rgba(0,0,0,0.2); padding: 12px; border-radius: 8px;">
-                <div style="display: flex; justify-content: space-between; align-items: center;">
-                    <h4 style="margin: 0;">📜 历史生成</h4>
-                    <small id="img-router-clear-history" style="cursor: pointer; color: #f44336;">清空</small>
-                </div>
-                <div id="img-router-history-container" style="display: grid; grid-template-columns: repeat(auto-fill, minmax(60px, 1fr)); gap: 8px; margin-top: 10px; max-height: 150px; overflow-y: auto;"></div>
-            </div>
+            <h3 style="margin: 0 0 20px 0; padding-right: 40px;">🎨 <span class="img-router-panel-title">${t('图像生成器')}</span> <span style="font-size: 0.6em; opacity: 0.7;">v2.4.0</span></h3>
         </div>
     `;
 
     document.body.appendChild(modal);
+    $(modal).find('.img-router-modal-body').append(settingsPanel);
+    $('.img-router-drawer-placeholder').show();
 
     // 使用 showModal() 方法打开，这会自动处理层级和焦点
     modal.showModal();
@@ -927,12 +4233,12 @@ function showSettingsModal() {
         if (e.target === modal) modal.close();
     });
 
-    // 关闭时移除元素
-    modal.addEventListener('close', () => modal.remove());
+    // 关闭时把面板移回扩展面板，再移除弹窗
+    modal.addEventListener('close', () => {
+        dockSettingsPanel();
+        modal.remove();
+    });
 
-    // 加载设置并绑定事件
+    // 刷新面板状态（聊天、角色可能已变化）
     loadSettings();
-    setupEventHandlers();
-    renderHistory();
-    renderPreviewImages();
 }
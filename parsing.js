@@ -0,0 +1,297 @@
+// Image Router 的纯函数：图片地址白名单、后端响应解析和占位符语法
+// 不依赖 SillyTavern 和 DOM，index.js 与测试共用
+
+// ================= 图片地址 =================
+
+// 本地图片（IndexedDB）的引用形式为 "idb:<id>"
+export const IMAGE_REF_PREFIX = 'idb:';
+
+export function isStoredImageRef(ref) {
+    return typeof ref === 'string' && ref.startsWith(IMAGE_REF_PREFIX);
+}
+
+const SAFE_IMAGE_PROTOCOLS = ['http:', 'https:', 'blob:'];
+
+/**
+ * 图片地址白名单：data:image、http(s)、blob 以及站内路径（头像等）。
+ * 后端返回和导入的地址都可能被构造，javascript: 等其他协议一律拒绝。
+ * 站内路径按 base（默认为当前页面地址）解析。
+ */
+export function isSafeImageUrl(url, base = globalThis.location?.href) {
+    if (typeof url !== 'string') return false;
+    const value = url.trim();
+    if (/^data:/i.test(value)) return /^data:image\/[\w.+-]+[;,]/i.test(value);
+    try {
+        return SAFE_IMAGE_PROTOCOLS.includes(new URL(value, base).protocol);
+    } catch {
+        return false;
+    }
+}
+
+// ================= 响应解析 =================
+
+const IMAGE_URL_EXTENSIONS = /\.(?:png|jpe?g|webp|gif|bmp|avif)(?:[?#]|$)/i;
+// 没有扩展名但路径像是图片或文件下载的链接
+const IMAGE_URL_HINTS = /\/(?:images?|img|files?|outputs?|generated|download|blob|view)\b|[?&](?:format|mime|type)=image/i;
+
+/**
+ * 按文件头识别 base64 图片的 MIME 类型，无法识别时返回 null。
+ */
+function sniffImageMime(base64) {
+    let header;
+    try {
+        header = atob(base64.replace(/[^A-Za-z0-9+/]/g, '').slice(0, 16));
+    } catch {
+        return null;
+    }
+    const bytes = Array.from(header, char => char.charCodeAt(0));
+    const startsWith = (...values) => values.every((value, i) => bytes[i] === value);
+    if (startsWith(0x89, 0x50, 0x4E, 0x47)) return 'image/png';
+    if (startsWith(0xFF, 0xD8, 0xFF)) return 'image/jpeg';
+    if (startsWith(0x47, 0x49, 0x46, 0x38)) return 'image/gif';
+    if (startsWith(0x52, 0x49, 0x46, 0x46) && header.slice(8, 12) === 'WEBP') return 'image/webp';
+    return null;
+}
+
+function isRawBase64Image(value) {
+    const compact = value.replace(/\s/g, '');
+    return compact.length > 100 && /^[A-Za-z0-9+/]+={0,2}$/.test(compact);
+}
+
+/**
+ * 把一个图片值（URL、data URL 或无前缀的 base64）转换为 { url, mime }，无法识别时返回 null。
+ * data URL 的类型缺失或不是图片时按文件头重新识别。
+ */
+function toImageEntry(value, mimeHint = null) {
+    if (typeof value !== 'string') return null;
+    const trimmed = value.trim().replace(/^<|>$/g, '');
+    if (/^https?:\/\//i.test(trimmed) || trimmed.startsWith('blob:')) return { url: trimmed, mime: mimeHint };
+
+    const dataUrl = /^data:([^;,]*)(?:;[^,]*)?,(.*)$/s.exec(trimmed);
+    if (dataUrl) {
+        const data = dataUrl[2].replace(/\s/g, '');
+        const mime = dataUrl[1].startsWith('image/') ? dataUrl[1] : (sniffImageMime(data) || mimeHint);
+        return mime ? { url: `data:${mime};base64,${data}`, mime } : null;
+    }
+
+    if (isRawBase64Image(trimmed)) {
+        const data = trimmed.replace(/\s/g, '');
+        const mime = sniffImageMime(data) || mimeHint || 'image/png';
+        return { url: `data:${mime};base64,${data}`, mime };
+    }
+    return null;
+}
+
+// 从文本中取出图片，返回去掉图片后的剩余文字
+function extractImagesFromText(text, addImage) {
+    let rest = text;
+
+    // 整段文字本身是 JSON（或 ```json 代码块）时按结构解析
+    const fenced = /```(?:json)?\s*([\s\S]*?)```/g;
+    rest = rest.replace(fenced, (match, body) => (collectEmbeddedJson(body, addImage) ? '' : match));
+    const trimmed = rest.trim();
+    if (/^[[{]/.test(trimmed) && collectEmbeddedJson(trimmed, addImage)) return '';
+
+    // markdown 图片，地址后可能带有标题
+    rest = rest.replace(/!\[[^\]]*\]\(\s*<?([^\s)>]+)>?(?:\s+["'][^"']*["'])?\s*\)/g, (match, url) => {
+        addImage(url);
+        return '';
+    });
+    // 带前缀的 base64：遇到空白即结束，只接受按整行折行的 base64（续行至少 16 个字符），后面的文字不会被吞掉
+    rest = rest.replace(/data:[\w/+.-]*;base64,[A-Za-z0-9+/]+={0,2}(?:\r?\n[A-Za-z0-9+/]{16,}={0,2}(?=\s|$))*/g, (match) => {
+        addImage(match);
+        return '';
+    });
+    // 链接：有图片扩展名、路径像图片，或单独成行时视为图片；句末的标点不属于链接
+    rest = rest.replace(/(^|\s|["'(])(https?:\/\/[^\s"'<>()]+)/gm, (match, prefix, link, offset, whole) => {
+        const [, url, trailing] = /^(.*?)([.,;:!?。，；：！？]*)$/s.exec(link);
+        const line = whole.slice(whole.lastIndexOf('\n', offset) + 1).split('\n')[0].trim();
+        const standalone = line === link || line === `<${link}>`;
+        if (!IMAGE_URL_EXTENSIONS.test(url) && !IMAGE_URL_HINTS.test(url) && !standalone) return match;
+        addImage(url);
+        return prefix + trailing;
+    });
+    // 整段是无前缀的 base64
+    if (isRawBase64Image(rest.trim())) {
+        addImage(rest.trim());
+        return '';
+    }
+    return rest;
+}
+
+// 解析文本中的 JSON 并收集其中的图片，解析失败返回 false
+function collectEmbeddedJson(text, addImage) {
+    let json;
+    try {
+        json = JSON.parse(text);
+    } catch {
+        return false;
+    }
+    collectResponseValue(json, addImage, () => {});
+    return true;
+}
+
+/**
+ * 遍历响应结构：OpenAI chat 的 choices/message/delta、分段 content、
+ * message.images、OpenAI images 的 data[]（url / b64_json）以及常见的 image/url 字段。
+ */
+function collectResponseValue(value, addImage, addText) {
+    if (value === null || value === undefined) return;
+    if (typeof value === 'string') {
+        const rest = extractImagesFromText(value, addImage);
+        if (rest.trim()) addText(rest.trim());
+        return;
+    }
+    if (Array.isArray(value)) {
+        value.forEach(item => collectResponseValue(item, addImage, addText));
+        return;
+    }
+    if (typeof value !== 'object') return;
+
+    if (Array.isArray(value.choices)) {
+        value.choices.forEach(choice => collectResponseValue(choice.message || choice.delta, addImage, addText));
+        return;
+    }
+    // 分段 content 中的文字
+    if (value.type === 'text' || value.type === 'output_text') {
+        if (value.text) addText(value.text);
+        return;
+    }
+
+    const imageUrl = typeof value.image_url === 'string' ? value.image_url : value.image_url?.url;
+    const mime = value.mime_type || value.media_type || value.source?.media_type || null;
+    const direct = imageUrl || value.url || value.b64_json || value.image || value.source?.data || (value.type === 'image' ? value.data : null);
+    if (typeof direct === 'string') {
+        const entry = toImageEntry(direct, mime);
+        if (entry) addImage(entry.url, mime);
+    }
+
+    if (value.content !== undefined) collectResponseValue(value.content, addImage, addText);
+    if (Array.isArray(value.images)) collectResponseValue(value.images, addImage, addText);
+    if (Array.isArray(value.data)) collectResponseValue(value.data, addImage, addText);
+}
+
+/**
+ * 将后端响应统一为 { images: [{ url, mime }], text }，图片按出现顺序去重。
+ * payload 可以是解析后的 JSON，也可以是流式拼接出的文字（或二者组成的数组）。
+ */
+export function normalizeImageResponse(payload) {
+    const images = [];
+    const texts = [];
+    const addImage = (value, mimeHint = null) => {
+        const entry = toImageEntry(value, mimeHint);
+        if (entry && !images.some(image => image.url === entry.url)) images.push(entry);
+    };
+    collectResponseValue(payload, addImage, text => texts.push(text));
+    return { images, text: texts.join('\n').trim() };
+}
+
+// ================= 占位符语法 =================
+
+// 单次请求的图片数量 (n) 上限，面板设置和占位符 n= 选项共用
+export const MAX_IMAGE_COUNT = 4;
+
+/**
+ * 内联占位符：image###提示词###，可在 image 后用方括号附加本张图片的选项，
+ * 例如 image[ar=16:9; model=xxx; neg=blurry; seed=42; ref=avatar]###提示词###。
+ * 选项以 ; 分隔，未知选项忽略。
+ */
+export const PLACEHOLDER_REGEX = /image(?:\[([^\]]*)\])?###([\s\S]*?)###/g;
+
+const PLACEHOLDER_OPTION_ALIASES = {
+    size: 'size',
+    ar: 'aspect',
+    aspect: 'aspect',
+    model: 'model',
+    neg: 'negative',
+    negative: 'negative',
+    seed: 'seed',
+    n: 'count',
+    count: 'count',
+    ref: 'ref',
+};
+// ref 可取的值，多个用逗号分隔
+const PLACEHOLDER_REF_SOURCES = ['avatar', 'persona', 'prev', 'none'];
+
+// 消息 HTML 中的占位符内容还原为纯文本
+function decodePlaceholderText(text) {
+    return text
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .trim();
+}
+
+// 比较占位符提示词时忽略空白差异（渲染后的换行、缩进与原文不同）
+export function normalizePlaceholderPrompt(prompt) {
+    return String(prompt).replace(/\s+/g, ' ').trim();
+}
+
+// 消息原文中各占位符的提示词，数组下标即占位符序号（图片保存在 extra 中的 key）
+export function getSourcePlaceholderPrompts(text) {
+    return [...String(text || '').matchAll(PLACEHOLDER_REGEX)].map(match => normalizePlaceholderPrompt(match[2]));
+}
+
+export function parsePlaceholderOptions(raw) {
+    const options = {};
+    for (const part of String(raw || '').split(';')) {
+        const separator = part.indexOf('=');
+        if (separator === -1) continue;
+        const name = part.slice(0, separator).trim().toLowerCase();
+        // 只认别名表自身的键，__proto__、constructor 等原型属性视为未知选项
+        const key = Object.hasOwn(PLACEHOLDER_OPTION_ALIASES, name) ? PLACEHOLDER_OPTION_ALIASES[name] : null;
+        const value = part.slice(separator + 1).trim();
+        if (!key || !value) {
+            console.warn('[img-router] Ignored placeholder option:', part);
+            continue;
+        }
+        switch (key) {
+            case 'size':
+                if (/^\d+x\d+$/i.test(value)) options.size = value.toLowerCase();
+                break;
+            case 'aspect':
+                if (/^\d+(\.\d+)?:\d+(\.\d+)?$/.test(value)) options.aspect = value;
+                break;
+            case 'seed':
+                if (/^\d+$/.test(value)) options.seed = parseInt(value);
+                break;
+            case 'count':
+                options.count = Math.min(MAX_IMAGE_COUNT, Math.max(1, parseInt(value) || 1));
+                break;
+            case 'ref':
+                options.refs = value.split(',').map(item => item.trim().toLowerCase()).filter(item => PLACEHOLDER_REF_SOURCES.includes(item));
+                break;
+            default:
+                options[key] = value;
+        }
+    }
+    return options;
+}
+
+/**
+ * 把消息 HTML 中的占位符替换为只含序号的空位 <span class="img-router-slot" data-slot="N">，
+ * 返回替换后的 HTML 和各占位符的 { index, prompt, options }，提示词与选项已还原为纯文本。
+ * 占位符序号按消息原文 sourceText 计算：markdown 转义或代码块可能让渲染结果中的占位符与原文不一一对应，
+ * 原文中找不到时使用其在 HTML 中的顺序。
+ */
+export function splitPlaceholders(html, sourceText) {
+    const sourcePrompts = getSourcePlaceholderPrompts(sourceText);
+    let sourceCursor = 0;
+    const placeholders = [];
+    const result = html.replace(PLACEHOLDER_REGEX, (match, options, prompt) => {
+        const text = decodePlaceholderText(prompt);
+        const found = sourcePrompts.indexOf(normalizePlaceholderPrompt(text), sourceCursor);
+        if (found !== -1) sourceCursor = found + 1;
+        const slot = placeholders.length;
+        placeholders.push({
+            index: found === -1 ? slot : found,
+            prompt: text,
+            options: options ? decodePlaceholderText(options) : '',
+        });
+        return `<span class="img-router-slot" data-slot="${slot}"></span>`;
+    });
+    return { html: result, placeholders };
+}
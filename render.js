@@ -0,0 +1,152 @@
+// Image Router 中由生成结果和用户输入构建的界面元素：图片、内联图片块和历史记录
+// 提示词、图片地址等外部内容只通过 text() / attr() 写入，不参与 HTML 拼接；使用 SillyTavern 提供的全局 jQuery
+
+import { t } from './i18n.js';
+import { isSafeImageUrl, isStoredImageRef } from './parsing.js';
+
+// ================= 图片 =================
+
+// 设置 <img> 的图片：本地图片由 hydrateImageRefs 填充，其他地址须通过白名单
+export function applyImageRef(img, ref) {
+    if (isStoredImageRef(ref)) return img.attr('data-img-ref', ref).removeAttr('src');
+    img.removeAttr('data-img-ref');
+    if (isSafeImageUrl(ref)) return img.attr('src', ref);
+    console.warn('[img-router] Blocked unsafe image URL:', ref);
+    return img.removeAttr('src').attr('alt', t('图片地址不安全，已拦截'));
+}
+
+// 创建 <img>，attrs 中的值按属性设置，不经过 HTML 拼接
+export function createImageElement(ref, attrs = {}) {
+    return applyImageRef($('<img>').attr(attrs), ref);
+}
+
+// ================= 内联图片块 =================
+
+// 尚未生成的占位符显示为生成按钮，提示词和选项保存在属性中
+export function buildInlineTrigger(prompt, index, options = '') {
+    const trigger = $('<span class="img-router-inline-trigger"></span>').text(t('[生成图片]')).attr({
+        'data-prompt': prompt,
+        'data-placeholder-index': index,
+        title: options ? t('点击生成图片 ({options})', { options }) : t('点击生成图片'),
+    });
+    if (options) trigger.attr('data-options', options);
+    return trigger;
+}
+
+/**
+ * 内联图片块。index 为占位符序号（有序号时才提供变体和重新生成操作），
+ * variants 多于一张时显示变体条，selected 为当前保留的变体。
+ */
+export function buildInlineResult(imageUrl, alt, { variants = [], selected = 0, index = null } = {}) {
+    const hasVariants = variants.length > 1;
+    const block = $('<div class="img-router-inline-result"></div>');
+    if (index !== null) block.attr('data-placeholder-index', index);
+
+    const main = $('<div class="img-router-inline-main"></div>').appendTo(block);
+    main.append(createImageElement(imageUrl, { class: 'zoomable img-router-zoom', alt }));
+    main.append(`
+        <div class="img-router-inline-actions">
+            ${index !== null ? `
+            <i class="fa-solid fa-rotate-right img-router-more-variants" title="${t('重新生成（新种子）')}"></i>
+            <i class="fa-solid fa-repeat img-router-regen-same" title="${t('重新生成（相同种子）')}"></i>
+            <i class="fa-solid fa-pen img-router-edit-prompt" title="${t('修改提示词后重新生成')}"></i>` : ''}
+            <i class="fa-solid fa-images img-router-use-reference" title="${t('用作参考图')}"></i>
+            ${index !== null ? `<i class="fa-solid fa-copy img-router-copy-prompt" title="${t('复制提示词')}"></i>` : ''}
+            ${hasVariants ? `<i class="fa-solid fa-broom img-router-discard-variants" title="${t('只保留当前变体')}"></i>` : ''}
+            <i class="fa-solid fa-download img-router-download" title="${t('下载')}"></i>
+            ${index !== null ? `<i class="fa-solid fa-trash img-router-remove-image" title="${t('移除图片，恢复为生成按钮')}"></i>` : ''}
+        </div>
+    `);
+
+    if (hasVariants) {
+        const strip = $('<div class="img-router-variant-strip"></div>').appendTo(block);
+        variants.forEach((url, i) => strip.append(createImageElement(url, {
+            class: `img-router-variant${i === selected ? ' selected' : ''}`,
+            'data-variant': i,
+            title: t('变体 {index}', { index: i + 1 }),
+        })));
+    }
+    return block;
+}
+
+export function renderInlineEntry(entry, index) {
+    return buildInlineResult(entry.url, entry.prompt || t('已生成图片'), {
+        variants: entry.variants || [],
+        selected: entry.selected || 0,
+        index,
+    });
+}
+
+// ================= 历史记录 =================
+
+// 一条记录的全部图片引用（主图 + 变体）
+export function getHistoryRefs(item) {
+    return [...new Set([item.url, ...(item.variants || [])])];
+}
+
+function formatDuration(ms) {
+    if (!ms) return '';
+    return ms < 60000 ? `${(ms / 1000).toFixed(1)}s` : `${Math.floor(ms / 60000)}m${Math.round((ms % 60000) / 1000)}s`;
+}
+
+export function describeHistoryItem(item) {
+    return [
+        item.model,
+        item.size,
+        item.seed !== undefined && item.seed >= 0 ? `seed ${item.seed}` : '',
+        item.profile,
+        formatDuration(item.duration),
+        item.character,
+        item.time,
+    ].filter(Boolean).join(' · ');
+}
+
+// 设置面板中的历史缩略图
+export function buildHistoryItem(item) {
+    const title = `${item.prompt} (${describeHistoryItem(item)})`;
+    const refs = getHistoryRefs(item);
+    const variantNav = refs.length > 1 ? `
+        <div class="history-variant-nav" data-variant="0">
+            <i class="fa-solid fa-chevron-left" data-step="-1"></i>
+            <span>1/${refs.length}</span>
+            <i class="fa-solid fa-chevron-right" data-step="1"></i>
+        </div>` : '';
+    const div = $(`
+        <div class="history-item${item.favorite ? ' favorite' : ''}">
+            ${variantNav}
+            <div class="history-actions">
+                <i class="fa-${item.favorite ? 'solid' : 'regular'} fa-star history-favorite" title="${t('收藏')}"></i>
+                <i class="fa-solid fa-download img-router-download" title="${t('下载')}"></i>
+                <i class="fa-solid fa-trash history-delete"></i>
+            </div>
+        </div>
+    `);
+    div.attr({ 'data-id': item.id, title }).prepend(createImageElement(item.url, { class: 'zoomable img-router-zoom' }));
+    return div;
+}
+
+// 图库弹窗中的历史卡片
+export function buildHistoryCard(item) {
+    const refs = getHistoryRefs(item);
+    const card = $(`
+        <div class="history-card${item.favorite ? ' favorite' : ''}" data-variant="0">
+            <div class="history-card-image">
+                ${refs.length > 1 ? `<span class="history-card-count">${t('{count} 张', { count: refs.length })}</span>` : ''}
+            </div>
+            <div class="history-card-prompt"></div>
+            <div class="history-card-meta"></div>
+            <div class="history-card-actions">
+                <i class="fa-${item.favorite ? 'solid' : 'regular'} fa-star history-favorite" title="${t('收藏（不会被自动清理）')}"></i>
+                <i class="fa-solid fa-rotate history-rerun" title="${t('按原参数重新生成')}"></i>
+                <i class="fa-solid fa-copy history-copy" title="${t('复制提示词')}"></i>
+                <i class="fa-solid fa-images history-to-ref" title="${t('添加为参考图')}"></i>
+                <i class="fa-solid fa-trash history-delete" title="${t('删除')}"></i>
+            </div>
+        </div>
+    `);
+    card.attr('data-id', item.id);
+    card.find('.history-card-image').prepend(createImageElement(item.url, { class: 'zoomable img-router-zoom' }));
+    card.find('.history-card-prompt').attr('title', item.prompt).text(item.prompt);
+    card.find('.history-card-meta').text(describeHistoryItem(item));
+    return card;
+}
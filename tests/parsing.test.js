@@ -0,0 +1,159 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    MAX_IMAGE_COUNT,
+    isSafeImageUrl,
+    normalizeImageResponse,
+    parsePlaceholderOptions,
+    splitPlaceholders,
+} from '../parsing.js';
+
+// 以 PNG 文件头开头的 base64，足够长以被识别为无前缀图片
+const PNG_BASE64 = `iVBORw0KGgo${'A'.repeat(120)}`;
+const HOSTILE_PROMPT = '"><img src=x onerror=alert(1)>';
+const BASE = 'http://127.0.0.1:8000/';
+
+// ================= isSafeImageUrl =================
+
+test('isSafeImageUrl 接受 http(s)、blob、data:image 和站内路径', () => {
+    assert.ok(isSafeImageUrl('https://example.com/a.png', BASE));
+    assert.ok(isSafeImageUrl('http://example.com/a.png', BASE));
+    assert.ok(isSafeImageUrl('blob:http://127.0.0.1:8000/1234', BASE));
+    assert.ok(isSafeImageUrl(`data:image/png;base64,${PNG_BASE64}`, BASE));
+    assert.ok(isSafeImageUrl('/characters/Alice.png', BASE));
+});
+
+test('isSafeImageUrl 拒绝脚本协议和非图片 data URL', () => {
+    for (const url of [
+        'javascript:alert(1)',
+        '  JaVaScRiPt:alert(1)',
+        'java\tscript:alert(1)',
+        'vbscript:msgbox(1)',
+        'data:text/html,<script>alert(1)</script>',
+        'data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==',
+        'data:,alert(1)',
+        'file:///etc/passwd',
+    ]) {
+        assert.equal(isSafeImageUrl(url, BASE), false, url);
+    }
+});
+
+test('isSafeImageUrl 拒绝非字符串和无法解析的地址', () => {
+    assert.equal(isSafeImageUrl(null, BASE), false);
+    assert.equal(isSafeImageUrl({ toString: () => 'https://example.com' }, BASE), false);
+    assert.equal(isSafeImageUrl('/characters/Alice.png', undefined), false);
+});
+
+// ================= normalizeImageResponse =================
+
+test('markdown 中的 javascript: 与 data:text/html 图片被丢弃', () => {
+    const { images } = normalizeImageResponse([
+        '![a](javascript:alert(1))',
+        '![b](data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==)',
+        '![c](https://example.com/ok.png)',
+    ].join('\n'));
+    assert.deepEqual(images.map(image => image.url), ['https://example.com/ok.png']);
+});
+
+test('文字中的 HTML 原样作为纯文本返回', () => {
+    const { images, text } = normalizeImageResponse({ choices: [{ message: { content: HOSTILE_PROMPT } }] });
+    assert.deepEqual(images, []);
+    assert.equal(text, HOSTILE_PROMPT);
+});
+
+test('JSON 文字中的恶意地址被丢弃，合法图片保留', () => {
+    const content = JSON.stringify({ image: 'javascript:alert(1)', images: [{ url: `data:image/png;base64,${PNG_BASE64}` }] });
+    const { images } = normalizeImageResponse({ choices: [{ message: { content } }] });
+    assert.deepEqual(images, [{ url: `data:image/png;base64,${PNG_BASE64}`, mime: 'image/png' }]);
+});
+
+test('data[] 中只保留可识别的图片', () => {
+    const { images } = normalizeImageResponse({
+        data: [
+            { url: 'javascript:alert(1)' },
+            { url: 'data:text/html,<script>alert(1)</script>' },
+            { b64_json: '<svg onload=alert(1)>' },
+            { b64_json: PNG_BASE64 },
+            { url: 'https://example.com/out.webp' },
+        ],
+    });
+    assert.deepEqual(images.map(image => image.url), [`data:image/png;base64,${PNG_BASE64}`, 'https://example.com/out.webp']);
+});
+
+test('类型不是图片的 data URL 按文件头重新识别', () => {
+    const { images } = normalizeImageResponse({ data: [{ url: `data:text/plain;base64,${PNG_BASE64}` }] });
+    assert.deepEqual(images, [{ url: `data:image/png;base64,${PNG_BASE64}`, mime: 'image/png' }]);
+});
+
+// ================= parsePlaceholderOptions =================
+
+test('parsePlaceholderOptions 解析合法选项', () => {
+    assert.deepEqual(parsePlaceholderOptions('size=1024X768; ar=16:9; model=flux; neg=blurry; seed=42; n=2; ref=avatar,prev'), {
+        size: '1024x768',
+        aspect: '16:9',
+        model: 'flux',
+        negative: 'blurry',
+        seed: 42,
+        count: 2,
+        refs: ['avatar', 'prev'],
+    });
+});
+
+test('parsePlaceholderOptions 忽略格式不符的值和未知来源', () => {
+    assert.deepEqual(parsePlaceholderOptions(`size=1024x1024${HOSTILE_PROMPT}; ar=wide; seed=-1; ref=avatar,javascript:alert(1)`), {
+        refs: ['avatar'],
+    });
+});
+
+test('parsePlaceholderOptions 把数量限制在 MAX_IMAGE_COUNT 以内', () => {
+    assert.equal(parsePlaceholderOptions('n=999').count, MAX_IMAGE_COUNT);
+    assert.equal(parsePlaceholderOptions('n=0').count, 1);
+});
+
+test('parsePlaceholderOptions 不接受原型属性作为选项名', () => {
+    const options = parsePlaceholderOptions('__proto__=x; constructor=y; toString=z');
+    assert.deepEqual(Object.keys(options), []);
+    assert.equal(Object.getPrototypeOf(options), Object.prototype);
+});
+
+// ================= splitPlaceholders =================
+
+test('占位符整体替换为空位，提示词还原为纯文本', () => {
+    const encoded = '&quot;&gt;&lt;img src=x onerror=alert(1)&gt;';
+    const { html, placeholders } = splitPlaceholders(`<p>前文 image[seed=1]###${encoded}### 后文</p>`, `前文 image[seed=1]###${HOSTILE_PROMPT}### 后文`);
+    assert.equal(html, '<p>前文 <span class="img-router-slot" data-slot="0"></span> 后文</p>');
+    assert.deepEqual(placeholders, [{ index: 0, prompt: HOSTILE_PROMPT, options: 'seed=1' }]);
+});
+
+test('占位符序号按消息原文计算', () => {
+    // 原文中的第一个占位符在渲染时被去掉（例如位于 HTML 注释中）
+    const source = '<!-- image###draft### -->\nimage###a cat###\nimage###a dog###';
+    const { placeholders } = splitPlaceholders('<p>image###a cat###<br>image###a dog###</p>', source);
+    assert.deepEqual(placeholders.map(item => [item.index, item.prompt]), [[1, 'a cat'], [2, 'a dog']]);
+});
+
+test('渲染后与原文不一致的占位符使用其在 HTML 中的顺序', () => {
+    const { placeholders } = splitPlaceholders('<p>image###<em>a</em>###</p>', 'image###*a*###');
+    assert.equal(placeholders[0].index, 0);
+    assert.equal(placeholders[0].prompt, '<em>a</em>');
+});
+
+test('data URL 之后的文字不会并入图片数据', () => {
+    const { images, text } = normalizeImageResponse(`data:image/png;base64,${PNG_BASE64} Here is your image`);
+    assert.deepEqual(images, [{ url: `data:image/png;base64,${PNG_BASE64}`, mime: 'image/png' }]);
+    assert.equal(text, 'Here is your image');
+});
+
+test('按行折行的 base64 合并为一张图片，下一行的文字保留', () => {
+    const wrapped = `${PNG_BASE64.slice(0, 64)}\n${PNG_BASE64.slice(64)}`;
+    const { images, text } = normalizeImageResponse(`data:image/png;base64,${wrapped}\nHere is your image`);
+    assert.deepEqual(images.map(image => image.url), [`data:image/png;base64,${PNG_BASE64}`]);
+    assert.equal(text, 'Here is your image');
+});
+
+test('句末标点不属于图片链接', () => {
+    const { images, text } = normalizeImageResponse('Done: https://x.com/a.png. Enjoy!');
+    assert.deepEqual(images.map(image => image.url), ['https://x.com/a.png']);
+    assert.equal(text, 'Done: . Enjoy!');
+});
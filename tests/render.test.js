@@ -0,0 +1,108 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import jQueryFactory from 'jquery';
+
+import { setLanguageSource } from '../i18n.js';
+import { splitPlaceholders } from '../parsing.js';
+import { buildHistoryCard, buildHistoryItem, buildInlineResult, buildInlineTrigger, createImageElement } from '../render.js';
+
+const HOSTILE_PROMPT = '"><img src=x onerror=alert(1)>';
+const HOSTILE_URL = 'https://example.com/a.png" onerror="alert(1)';
+
+// 与 SillyTavern 页面一样提供全局 window / document / jQuery
+before(() => {
+    const { window } = new JSDOM('<!DOCTYPE html><body></body>', { url: 'http://127.0.0.1:8000/' });
+    globalThis.window = window;
+    globalThis.document = window.document;
+    globalThis.location = window.location;
+    globalThis.$ = jQueryFactory(window);
+    setLanguageSource(() => 'zh');
+});
+
+// 外部内容没有变成事件属性
+function assertNoEventHandlers(element) {
+    for (const node of [element[0], ...element[0].querySelectorAll('*')]) {
+        for (const attribute of node.attributes) {
+            assert.ok(!attribute.name.startsWith('on'), `unexpected ${attribute.name} on <${node.tagName}>`);
+        }
+    }
+}
+
+test('createImageElement 拦截 javascript: 地址', () => {
+    const img = createImageElement('javascript:alert(1)', { class: 'zoomable' });
+    assert.equal(img.attr('src'), undefined);
+    assert.equal(img.attr('alt'), '图片地址不安全，已拦截');
+});
+
+test('createImageElement 把地址和属性作为属性值写入', () => {
+    const img = createImageElement(HOSTILE_URL, { class: 'zoomable', alt: HOSTILE_PROMPT });
+    assert.equal(img.attr('src'), HOSTILE_URL);
+    assert.equal(img.attr('alt'), HOSTILE_PROMPT);
+    assertNoEventHandlers(img);
+});
+
+test('createImageElement 本地图片只记录引用，等待读取', () => {
+    const img = createImageElement('idb:abc');
+    assert.equal(img.attr('data-img-ref'), 'idb:abc');
+    assert.equal(img.attr('src'), undefined);
+});
+
+test('占位符空位填入的生成按钮只含纯文本', () => {
+    const encoded = '&quot;&gt;&lt;img src=x onerror=alert(1)&gt;';
+    const message = $('<div class="mes_text"></div>');
+    const { html, placeholders } = splitPlaceholders(`<p>image[model=${encoded}]###${encoded}###</p>`, '');
+    message.html(html);
+    message.find('.img-router-slot').each(function() {
+        const { index, prompt, options } = placeholders[Number($(this).attr('data-slot'))];
+        $(this).replaceWith(buildInlineTrigger(prompt, index, options));
+    });
+
+    const trigger = message.find('.img-router-inline-trigger');
+    assert.equal(trigger.length, 1);
+    assert.equal(trigger.attr('data-prompt'), HOSTILE_PROMPT);
+    assert.equal(trigger.attr('data-options'), `model=${HOSTILE_PROMPT}`);
+    assert.equal(trigger.text(), '[生成图片]');
+    assert.equal(message.find('img').length, 0);
+    assertNoEventHandlers(message);
+});
+
+test('内联图片块拦截恶意地址，提示词只出现在属性中', () => {
+    const block = buildInlineResult('javascript:alert(1)', HOSTILE_PROMPT, {
+        variants: ['javascript:alert(1)', HOSTILE_URL, 'data:text/html,<script>alert(1)</script>'],
+        index: 0,
+    });
+    const [main, ...variants] = block.find('img').toArray();
+    assert.equal(variants.length, 3);
+    assert.equal(main.getAttribute('src'), null);
+    assert.equal(main.getAttribute('alt'), '图片地址不安全，已拦截');
+    assert.equal(variants[0].getAttribute('src'), null);
+    assert.equal(variants[1].getAttribute('src'), HOSTILE_URL);
+    assert.equal(variants[2].getAttribute('src'), null);
+    assertNoEventHandlers(block);
+});
+
+test('历史缩略图的提示词只写入 title', () => {
+    const item = buildHistoryItem({ id: 'h1', url: 'javascript:alert(1)', prompt: HOSTILE_PROMPT, model: HOSTILE_PROMPT });
+    assert.equal(item.attr('title'), `${HOSTILE_PROMPT} (${HOSTILE_PROMPT})`);
+    assert.equal(item.find('img').length, 1);
+    assert.equal(item.find('img').attr('src'), undefined);
+    assertNoEventHandlers(item);
+});
+
+test('图库卡片的提示词与元信息作为纯文本显示', () => {
+    const card = buildHistoryCard({
+        id: '"><b>x</b>',
+        url: HOSTILE_URL,
+        variants: [HOSTILE_URL, 'javascript:alert(1)'],
+        prompt: HOSTILE_PROMPT,
+        character: '<script>alert(1)</script>',
+    });
+    assert.equal(card.attr('data-id'), '"><b>x</b>');
+    assert.equal(card.find('.history-card-prompt').text(), HOSTILE_PROMPT);
+    assert.equal(card.find('.history-card-meta').text(), '<script>alert(1)</script>');
+    assert.equal(card.find('img').length, 1);
+    assert.equal(card.find('img').attr('src'), HOSTILE_URL);
+    assert.equal(card.find('b, script').length, 0);
+    assertNoEventHandlers(card);
+});